@@ -0,0 +1,179 @@
+// Authentication tokens found in captured traffic: bearer tokens, API keys,
+// session cookies, CSRF tokens and JWTs in headers, cookies, query
+// parameters and JSON bodies. Responses issue tokens, requests use them.
+class AuthTokens {
+  static KIND_LABELS = {
+    jwt: 'JWT',
+    bearer: 'Bearer',
+    basic: 'Basic',
+    'api-key': 'API key',
+    session: 'Session',
+    csrf: 'CSRF',
+    token: 'Token'
+  }
+  // Shorter values are flags or IDs, not secrets
+  static MIN_LENGTH = 8
+  // Larger bodies are not parsed for tokens
+  static MAX_BODY_SIZE = 1024 * 1024
+  static JWT_PATTERN = /^eyJ[\w-]+\.eyJ[\w-]*\.[\w-]*$/
+  static CSRF_NAME = /csrf|xsrf|authenticity/i
+  static API_KEY_NAME = /api[-_]?key|access[-_]?key|client[-_]?secret/i
+  static SESSION_NAME = /sess|^sid$|[-_.]sid$|^sid[-_.]|remember/i
+  static TOKEN_NAME = /token|jwt|bearer|^(x-)?auth(orization)?$/i
+  // Headers that talk about authentication without carrying credentials
+  static IGNORED_HEADERS = ['www-authenticate', 'proxy-authenticate']
+
+  // Kind of a token from its name, null when the name says nothing
+  static kindOf(name, value) {
+    if (AuthTokens.JWT_PATTERN.test(value)) return 'jwt'
+    if (AuthTokens.CSRF_NAME.test(name)) return 'csrf'
+    if (AuthTokens.API_KEY_NAME.test(name)) return 'api-key'
+    if (AuthTokens.SESSION_NAME.test(name)) return 'session'
+    if (AuthTokens.TOKEN_NAME.test(name)) return 'token'
+    return null
+  }
+
+  // Occurrences in one request: [{ value, kind, name, location, direction }]
+  // where direction is 'issued' (response) or 'used' (request)
+  static scan(req, requestBodyText = '', responseBodyText = '') {
+    const found = []
+    const add = (direction, location, name, value, kind) => {
+      value = (value || '').trim()
+      if (kind === undefined) kind = AuthTokens.kindOf(name, value)
+      if (kind && value.length >= AuthTokens.MIN_LENGTH) {
+        found.push({ value, kind, name, location, direction })
+      }
+    }
+
+    const scanHeaders = (headers, direction) => {
+      ;(headers || []).forEach(({ name, value }) => {
+        const lower = (name || '').toLowerCase()
+        // Headers captured by the debugger join repeated values with \n
+        const values = String(value ?? '').split('\n')
+
+        if (lower === 'authorization' || lower === 'proxy-authorization') {
+          values.forEach(line => {
+            const [scheme, ...rest] = line.trim().split(/\s+/)
+            const credentials = rest.join(' ')
+            if (!credentials) {
+              add(direction, `${name} header`, name, scheme, 'token')
+            } else if (/^bearer$/i.test(scheme)) {
+              add(
+                direction,
+                `${name} header`,
+                name,
+                credentials,
+                AuthTokens.JWT_PATTERN.test(credentials) ? 'jwt' : 'bearer'
+              )
+            } else if (/^basic$/i.test(scheme)) {
+              add(direction, `${name} header`, name, credentials, 'basic')
+            } else {
+              add(direction, `${name} header`, name, credentials, 'token')
+            }
+          })
+        } else if (lower === 'cookie') {
+          values.forEach(line =>
+            line.split(';').forEach(pair => {
+              const [cookie, ...rest] = pair.split('=')
+              add(direction, 'Cookie', cookie.trim(), rest.join('='))
+            })
+          )
+        } else if (lower === 'set-cookie') {
+          values.forEach(line => {
+            const [cookie, ...rest] = line.split(';')[0].split('=')
+            add(direction, 'Set-Cookie', cookie.trim(), rest.join('='))
+          })
+        } else if (!AuthTokens.IGNORED_HEADERS.includes(lower)) {
+          values.forEach(line => add(direction, `${name} header`, name, line))
+        }
+      })
+    }
+
+    const scanJson = (text, direction, location) => {
+      if (!text || text.length > AuthTokens.MAX_BODY_SIZE) return
+      let parsed
+      try {
+        parsed = JSON.parse(text)
+      } catch (e) {
+        return
+      }
+      const walk = (value, path) => {
+        if (typeof value === 'string') {
+          // The innermost key names the value: data.user.token is a token,
+          // and so are the values of a form field (csrf_token.0)
+          const key =
+            [...path].reverse().find(part => !/^\d+$/.test(part)) || ''
+          add(
+            direction,
+            location,
+            path.join('.'),
+            value,
+            AuthTokens.kindOf(key, value)
+          )
+        } else if (value && typeof value === 'object') {
+          Object.keys(value).forEach(key => walk(value[key], [...path, key]))
+        }
+      }
+      walk(parsed, [])
+    }
+
+    scanHeaders(req.requestHeaders, 'used')
+    scanHeaders(req.responseHeaders, 'issued')
+
+    try {
+      new URL(req.url).searchParams.forEach((value, name) =>
+        // ?key= is how many APIs (Google's among them) take an API key
+        add(
+          'used',
+          'Query parameter',
+          name,
+          value,
+          name === 'key' ? 'api-key' : undefined
+        )
+      )
+    } catch (e) {
+      // Not a URL with parameters
+    }
+
+    scanJson(requestBodyText, 'used', 'Request body')
+    scanJson(responseBodyText, 'issued', 'Response body')
+
+    return found
+  }
+
+  // Tokens across requests, in the order they were first seen. entries are
+  // [{ req, occurrences }] sorted by time. Each token is { value, kind,
+  // names, issuedBy: { req, location } | null, usedBy: [{ req, location }] }.
+  static track(entries) {
+    const tokens = new Map()
+
+    entries.forEach(({ req, occurrences }) => {
+      occurrences.forEach(({ value, kind, name, location, direction }) => {
+        let token = tokens.get(value)
+        if (!token) {
+          token = { value, kind, names: [], issuedBy: null, usedBy: [] }
+          tokens.set(value, token)
+        }
+        // A JWT is a JWT whichever name it was found under
+        if (kind === 'jwt') token.kind = 'jwt'
+        if (!token.names.includes(name)) token.names.push(name)
+
+        if (direction === 'issued') {
+          if (!token.issuedBy) token.issuedBy = { req, location }
+        } else if (token.usedBy[token.usedBy.length - 1]?.req !== req) {
+          // Occurrences of a request are adjacent, list the request once
+          token.usedBy.push({ req, location })
+        }
+      })
+    })
+
+    return [...tokens.values()]
+  }
+
+  // Enough of a token to tell it apart without showing all of it
+  static preview(value) {
+    return value.length > 24
+      ? `${value.slice(0, 12)}…${value.slice(-6)}`
+      : value
+  }
+}
@@ -1,32 +1,98 @@
 // Store request details
 const requestData = new Map()
 
-// Store all devtools connections (send all requests to all panels, let panels filter)
-const allDevtoolsConnections = []
+// Devtools connections and the traffic each one wants, set by its INIT and
+// SET_SCOPE messages: { tabId, serviceWorkers, otherTabs }. Ports get
+// nothing until they have sent INIT.
+const devtoolsConnections = new Map()
+
+// Replays issued from the panels, by webRequest requestId, so their traffic
+// only goes back to the panel that asked for it
+const replayPorts = new Map()
+
+// Replays issued from the panels, waiting for webRequest to report them
+const pendingReplays = []
+
+// Origin of this extension, used to recognise its own (replayed) requests
+const extensionOrigin = chrome.runtime.getURL('').replace(/\/$/, '')
+
+// Tabs captured through chrome.debugger instead of webRequest, by tabId:
+// { attached, requests, reported } where requests maps Chrome DevTools
+// Protocol request IDs to the record being built, and reported lists the
+// { key, start } of the requests it sent (see reportedByDebugger)
+const debuggerTabs = new Map()
+let debuggerListenersAdded = false
+
+// The debugger is attached to the page only: requests of out-of-process
+// iframes and workers reach webRequest alone. webRequest records of a
+// captured tab are held (by requestId) until they finish, then sent unless
+// the debugger reported the same request.
+const heldRequestIds = new Set()
+// Wait for the debugger's events, which arrive independently
+const DEBUGGER_REPORT_DELAY = 1000
+// Largest start time difference between the two views of a request (ms)
+const DEBUGGER_MATCH_WINDOW = 10000
+// Requests remembered per tab for the comparison
+const DEBUGGER_REPORTED_LIMIT = 1000
 
 // Handle devtools panel connections
 chrome.runtime.onConnect.addListener(port => {
   if (port.name === 'network-analyzer') {
-    allDevtoolsConnections.push(port)
+    devtoolsConnections.set(port, null)
+
+    port.onMessage.addListener(msg => {
+      if (msg.type === 'INIT') {
+        devtoolsConnections.set(port, { tabId: msg.tabId, ...msg.scope })
+        updateDebugger(msg.tabId)
 
-    // Send existing requests
-    const existingRequests = Array.from(requestData.values())
-    existingRequests.forEach(req => {
-      port.postMessage({ type: 'NETWORK_REQUEST', data: req })
+        // Send the requests still in flight
+        requestData.forEach(req => {
+          if (!heldRequestIds.has(req.requestId) && wantsRequest(port, req)) {
+            port.postMessage({ type: 'NETWORK_REQUEST', data: req })
+          }
+        })
+      } else if (msg.type === 'SET_SCOPE') {
+        const scope = devtoolsConnections.get(port)
+        if (scope) {
+          devtoolsConnections.set(port, { tabId: scope.tabId, ...msg.scope })
+          updateDebugger(scope.tabId)
+        }
+      } else if (msg.type === 'REPLAY_REQUEST') {
+        replayRequest(msg, port)
+      }
     })
 
     port.onDisconnect.addListener(() => {
-      const index = allDevtoolsConnections.indexOf(port)
-      if (index > -1) {
-        allDevtoolsConnections.splice(index, 1)
+      const scope = devtoolsConnections.get(port)
+      devtoolsConnections.delete(port)
+      if (scope) {
+        updateDebugger(scope.tabId)
       }
+      replayPorts.forEach((replayPort, requestId) => {
+        if (replayPort === port) replayPorts.delete(requestId)
+      })
     })
   }
 })
 
-// Helper to send to all devtools panels
+// Whether a panel's capture scope includes a request
+function wantsRequest(port, details) {
+  const scope = devtoolsConnections.get(port)
+  if (!scope) return false
+
+  const replayPort = replayPorts.get(details.requestId)
+  if (replayPort) return replayPort === port
+
+  if (details.tabId === scope.tabId) return true
+  // Service workers, extensions and other non-tab traffic
+  if (details.tabId === -1) return !!scope.serviceWorkers
+  return !!scope.otherTabs
+}
+
+// Send a request message to the panels whose scope includes it
 function sendToDevtools(message) {
-  allDevtoolsConnections.forEach(port => {
+  devtoolsConnections.forEach((scope, port) => {
+    if (!wantsRequest(port, message.data)) return
     try {
       port.postMessage(message)
     } catch (e) {
@@ -35,15 +101,634 @@ function sendToDevtools(message) {
   })
 }
 
+// Port messages are JSON-serialized, which turns the ArrayBuffers of raw
+// request bodies into empty objects. Convert them to plain byte arrays.
+function serializeRequestBody(requestBody) {
+  if (!requestBody || !requestBody.raw) return requestBody
+
+  return {
+    ...requestBody,
+    raw: requestBody.raw.map(part =>
+      part.bytes
+        ? { ...part, bytes: Array.from(new Uint8Array(part.bytes)) }
+        : part
+    )
+  }
+}
+
+// Re-issue a captured request on behalf of a panel
+function replayRequest({ replayOf, source, request }, port) {
+  const method = (request.method || 'GET').toUpperCase()
+  const replay = { replayOf, url: request.url, method, requestId: null, port }
+  pendingReplays.push(replay)
+
+  const headers = new Headers()
+  ;(request.headers || []).forEach(header => {
+    // HTTP/2 pseudo headers and malformed names make fetch() throw.
+    // Forbidden headers (Cookie, Host, ...) are dropped by fetch() itself.
+    if (header.name.startsWith(':')) return
+    try {
+      headers.append(header.name, header.value)
+    } catch (e) {
+      // Invalid header, skip it
+    }
+  })
+
+  const init = { method, headers, credentials: 'include', redirect: 'follow' }
+  if (request.body && method !== 'GET' && method !== 'HEAD') {
+    init.body = request.body
+  }
+
+  const startTime = Date.now()
+  const result = {
+    url: request.url,
+    method,
+    type: 'xmlhttprequest',
+    requestHeaders: request.headers || [],
+    timeStamp: startTime
+  }
+
+  fetch(request.url, init)
+    .then(response =>
+      response.text().then(body => {
+        const responseHeaders = []
+        response.headers.forEach((value, name) => {
+          responseHeaders.push({ name, value })
+        })
+
+        return {
+          ...result,
+          statusCode: response.status,
+          statusLine: `HTTP/1.1 ${response.status} ${response.statusText}`,
+          responseHeaders,
+          responseBody: body,
+          responseBodyMimeType: response.headers.get('content-type') || ''
+        }
+      })
+    )
+    .catch(err => ({ ...result, error: true, errorMessage: err.message }))
+    .then(data => {
+      const index = pendingReplays.indexOf(replay)
+      if (index > -1) {
+        pendingReplays.splice(index, 1)
+      }
+
+      try {
+        port.postMessage({
+          type: 'REPLAY_RESULT',
+          replayOf,
+          source,
+          requestId: replay.requestId,
+          data: { ...data, endTimestamp: Date.now() }
+        })
+      } catch (e) {
+        // Panel closed while the replay was in flight
+      }
+    })
+}
+
+// Attach the debugger to a tab while one of its panels asks for it (the
+// "debugger" capture scope), detach it when none does
+function updateDebugger(tabId) {
+  let wanted = false
+  devtoolsConnections.forEach(scope => {
+    if (scope && scope.tabId === tabId && scope.debugger) wanted = true
+  })
+
+  const session = debuggerTabs.get(tabId)
+  if (wanted && !session) {
+    attachDebugger(tabId)
+  } else if (!wanted && session) {
+    debuggerTabs.delete(tabId)
+    chrome.debugger.detach({ tabId }, () => {
+      if (chrome.runtime.lastError) {
+        // Already detached (tab closed, infobar cancelled)
+      }
+    })
+  }
+}
+
+function attachDebugger(tabId) {
+  if (!chrome.debugger) {
+    sendDebuggerStatus(tabId, false, 'The debugger permission is not granted')
+    return
+  }
+  addDebuggerListeners()
+
+  const target = { tabId }
+  const session = { attached: false, requests: new Map(), reported: [] }
+  debuggerTabs.set(tabId, session)
+  // Turned off while attaching: updateDebugger already dropped this session,
+  // so it must not leave the tab attached. When turned on again, the newer
+  // session detaches and attaches the tab itself.
+  const abandoned = () => debuggerTabs.get(tabId) !== session
+  const release = () => {
+    if (!debuggerTabs.has(tabId)) chrome.debugger.detach(target, () => {})
+  }
+
+  // A session left over from before the service worker restarted would make
+  // attach() fail, so drop it first
+  chrome.debugger.detach(target, () => {
+    if (chrome.runtime.lastError) {
+      // Nothing was attached
+    }
+    if (abandoned()) return
+    chrome.debugger.attach(target, '1.3', () => {
+      if (chrome.runtime.lastError) {
+        if (abandoned()) return
+        debuggerTabs.delete(tabId)
+        sendDebuggerStatus(tabId, false, chrome.runtime.lastError.message)
+        return
+      }
+      if (abandoned()) {
+        release()
+        return
+      }
+      chrome.debugger.sendCommand(target, 'Network.enable', {}, () => {
+        const error = chrome.runtime.lastError
+        if (abandoned()) {
+          release()
+          return
+        }
+        if (error) {
+          debuggerTabs.delete(tabId)
+          chrome.debugger.detach(target, () => {})
+          sendDebuggerStatus(tabId, false, error.message)
+          return
+        }
+        session.attached = true
+        sendDebuggerStatus(tabId, true)
+      })
+    })
+  })
+}
+
+function sendDebuggerStatus(tabId, attached, error) {
+  devtoolsConnections.forEach((scope, port) => {
+    if (!scope || scope.tabId !== tabId) return
+    try {
+      port.postMessage({ type: 'DEBUGGER_STATUS', attached, error })
+    } catch (e) {
+      // Connection closed
+    }
+  })
+}
+
+// webRequest holds back the requests of tabs captured by the debugger
+function isDebuggerCapturing(tabId) {
+  const session = debuggerTabs.get(tabId)
+  return !!session && session.attached
+}
+
+function noteDebuggerRequest(session, data) {
+  session.reported.push({
+    key: `${data.method} ${data.url}`,
+    start: data.timeStamp
+  })
+  if (session.reported.length > DEBUGGER_REPORTED_LIMIT) {
+    session.reported.shift()
+  }
+}
+
+// Whether the debugger sent this webRequest record's request. Each of its
+// requests accounts for one record, so identical parallel calls pair up.
+function reportedByDebugger(data) {
+  const session = debuggerTabs.get(data.tabId)
+  if (!session) return false
+  const key = `${data.method} ${data.url}`
+  const index = session.reported.findIndex(
+    request =>
+      request.key === key &&
+      Math.abs(request.start - data.timeStamp) <= DEBUGGER_MATCH_WINDOW
+  )
+  if (index === -1) return false
+  session.reported.splice(index, 1)
+  return true
+}
+
+// A finished request of a captured tab: sent whole, if at all
+function releaseHeldRequest(data, completeData) {
+  setTimeout(() => {
+    if (reportedByDebugger(data)) return
+    sendToDevtools({ type: 'NETWORK_REQUEST', data })
+    sendToDevtools({
+      type: 'NETWORK_REQUEST_COMPLETE',
+      requestId: completeData.requestId,
+      data: completeData
+    })
+  }, DEBUGGER_REPORT_DELAY)
+}
+
+// The debugger permission is optional: listeners are added once it has
+// been granted
+function addDebuggerListeners() {
+  if (debuggerListenersAdded || !chrome.debugger) return
+  debuggerListenersAdded = true
+
+  chrome.debugger.onEvent.addListener((source, method, params) => {
+    const session = debuggerTabs.get(source.tabId)
+    if (session && session.attached) {
+      handleDebuggerEvent(source.tabId, session, method, params)
+    }
+  })
+
+  chrome.debugger.onDetach.addListener((source, reason) => {
+    if (debuggerTabs.delete(source.tabId)) {
+      sendDebuggerStatus(source.tabId, false, `Debugger detached (${reason})`)
+    }
+  })
+}
+
+if (chrome.debugger) {
+  addDebuggerListeners()
+}
+
+// Chrome DevTools Protocol resource types, as webRequest names them
+const DEBUGGER_RESOURCE_TYPES = {
+  Document: 'main_frame',
+  Stylesheet: 'stylesheet',
+  Script: 'script',
+  Image: 'image',
+  Font: 'font',
+  Media: 'media',
+  XHR: 'xmlhttprequest',
+  Fetch: 'xmlhttprequest',
+  EventSource: 'xmlhttprequest',
+  Prefetch: 'xmlhttprequest',
+  Preflight: 'xmlhttprequest',
+  WebSocket: 'websocket',
+  Ping: 'ping',
+  CSPViolationReport: 'csp_report'
+}
+
+// Protocol headers are objects, webRequest headers are { name, value } lists
+function toHeaderList(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({
+    name,
+    value: String(value)
+  }))
+}
+
+// Network.requestWillBeSent initiator, with the call stack flattened across
+// async boundaries
+function toInitiatorDetails(initiator) {
+  if (!initiator) return null
+  const stack = []
+  for (let trace = initiator.stack; trace; trace = trace.parent) {
+    if (trace !== initiator.stack && trace.description) {
+      stack.push({ asyncBoundary: trace.description })
+    }
+    ;(trace.callFrames || []).forEach(frame => {
+      stack.push({
+        functionName: frame.functionName,
+        url: frame.url,
+        lineNumber: frame.lineNumber,
+        columnNumber: frame.columnNumber
+      })
+    })
+  }
+  return {
+    type: initiator.type,
+    url: initiator.url,
+    lineNumber: initiator.lineNumber,
+    stack
+  }
+}
+
+// Network.ResourceTiming as HAR timings (ms, -1 when not applicable)
+function toHarTimings(timing, endTime) {
+  if (!timing) return null
+  const phase = (start, end) => (start >= 0 && end >= 0 ? end - start : -1)
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart]
+    .filter(ms => ms >= 0)
+    .reduce((min, ms) => Math.min(min, ms), timing.sendStart)
+  return {
+    blocked: firstStart,
+    dns: phase(timing.dnsStart, timing.dnsEnd),
+    connect: phase(timing.connectStart, timing.connectEnd),
+    ssl: phase(timing.sslStart, timing.sslEnd),
+    send: phase(timing.sendStart, timing.sendEnd),
+    wait: phase(timing.sendEnd, timing.receiveHeadersEnd),
+    receive:
+      endTime === undefined
+        ? -1
+        : Math.max(
+            0,
+            (endTime - timing.requestTime) * 1000 - timing.receiveHeadersEnd
+          )
+  }
+}
+
+// Protocol request IDs are only unique per tab and are reused across the
+// hops of a redirect, so each hop gets its own panel requestId
+function debuggerRequestId(tabId, protocolId, hop) {
+  return `dbg-${tabId}-${protocolId}${hop ? `-${hop}` : ''}`
+}
+
+function handleDebuggerEvent(tabId, session, method, params) {
+  const target = { tabId }
+  let record = session.requests.get(params.requestId)
+
+  if (method === 'Network.requestWillBeSent') {
+    // A redirect reuses the request ID: finish the previous hop first
+    if (record && params.redirectResponse) {
+      applyDebuggerResponse(record, params.redirectResponse)
+      // Redirect bodies cannot be fetched
+      record.data.responseBody = ''
+      finishDebuggerRequest(record, params.timestamp)
+    }
+
+    const hop = record ? record.hop + 1 : 0
+    const { request } = params
+    // Navigations of the page itself have no script or parser initiator
+    const type =
+      params.type === 'Document' &&
+      params.initiator &&
+      params.initiator.type !== 'other'
+        ? 'sub_frame'
+        : DEBUGGER_RESOURCE_TYPES[params.type] || 'other'
+
+    record = {
+      hop,
+      // Protocol timestamps are monotonic seconds; wallTime is the epoch
+      clockOffset: params.wallTime * 1000 - params.timestamp * 1000,
+      timing: null,
+      data: {
+        requestId: debuggerRequestId(tabId, params.requestId, hop),
+        url: request.url + (request.urlFragment || ''),
+        method: request.method,
+        type,
+        tabId,
+        frameId: params.frameId,
+        timeStamp: params.wallTime * 1000,
+        initiator: originOf(params.documentURL),
+        initiatorDetails: toInitiatorDetails(params.initiator),
+        requestHeaders: toHeaderList(request.headers),
+        capturedBy: 'debugger'
+      }
+    }
+    session.requests.set(params.requestId, record)
+    noteDebuggerRequest(session, {
+      method: request.method,
+      url: request.url,
+      timeStamp: record.data.timeStamp
+    })
+
+    if (request.postData !== undefined) {
+      record.data.requestBody = toRequestBody(request.postData)
+    }
+    sendToDevtools({ type: 'NETWORK_REQUEST', data: { ...record.data } })
+
+    if (request.postData === undefined && request.hasPostData) {
+      // Large bodies are left out of the event
+      chrome.debugger.sendCommand(
+        target,
+        'Network.getRequestPostData',
+        { requestId: params.requestId },
+        result => {
+          if (chrome.runtime.lastError || !result) return
+          record.data.requestBody = toRequestBody(result.postData)
+          sendDebuggerUpdate(record)
+        }
+      )
+    }
+    return
+  }
+
+  // WebSockets are reported by their own events, not requestWillBeSent
+  if (method === 'Network.webSocketCreated') {
+    record = {
+      hop: 0,
+      // Corrected by the handshake event, which carries a wall clock time
+      clockOffset: null,
+      timing: null,
+      data: {
+        requestId: debuggerRequestId(tabId, params.requestId, 0),
+        url: params.url,
+        method: 'GET',
+        type: 'websocket',
+        tabId,
+        timeStamp: Date.now(),
+        initiatorDetails: toInitiatorDetails(params.initiator),
+        capturedBy: 'debugger'
+      }
+    }
+    session.requests.set(params.requestId, record)
+    noteDebuggerRequest(session, record.data)
+    sendToDevtools({ type: 'NETWORK_REQUEST', data: { ...record.data } })
+    return
+  }
+
+  if (!record) return
+
+  if (method === 'Network.webSocketWillSendHandshakeRequest') {
+    record.clockOffset = params.wallTime * 1000 - params.timestamp * 1000
+    record.data.requestHeaders = toHeaderList(params.request.headers)
+    sendDebuggerUpdate(record)
+  } else if (method === 'Network.webSocketHandshakeResponseReceived') {
+    const { response } = params
+    Object.assign(record.data, {
+      statusCode: response.status,
+      statusLine: `HTTP/1.1 ${response.status} ${
+        response.statusText || ''
+      }`.trim(),
+      responseHeaders: toHeaderList(response.headers)
+    })
+    sendDebuggerUpdate(record)
+  } else if (
+    method === 'Network.webSocketFrameSent' ||
+    method === 'Network.webSocketFrameReceived' ||
+    method === 'Network.webSocketFrameError'
+  ) {
+    const frame =
+      method === 'Network.webSocketFrameError'
+        ? { direction: 'error', opcode: null, data: params.errorMessage }
+        : {
+            direction:
+              method === 'Network.webSocketFrameSent' ? 'sent' : 'received',
+            opcode: params.response.opcode,
+            // Base64 for binary frames (opcode 2)
+            data: params.response.payloadData
+          }
+    sendToDevtools({
+      type: 'WEBSOCKET_FRAME',
+      requestId: record.data.requestId,
+      data: {
+        requestId: record.data.requestId,
+        tabId,
+        frame: {
+          ...frame,
+          time: toWallTime(record, params.timestamp)
+        }
+      }
+    })
+  } else if (method === 'Network.webSocketClosed') {
+    session.requests.delete(params.requestId)
+    // The body of a WebSocket is its frames
+    record.data.responseBody = ''
+    sendToDevtools({
+      type: 'NETWORK_REQUEST_COMPLETE',
+      requestId: record.data.requestId,
+      data: {
+        ...record.data,
+        timeStamp: toWallTime(record, params.timestamp)
+      }
+    })
+  } else if (method === 'Network.eventSourceMessageReceived') {
+    // Only EventSource connections report their events with arrival times
+    sendToDevtools({
+      type: 'STREAM_EVENT',
+      requestId: record.data.requestId,
+      data: {
+        requestId: record.data.requestId,
+        tabId,
+        event: {
+          event: params.eventName || 'message',
+          id: params.eventId || '',
+          data: params.data,
+          time: toWallTime(record, params.timestamp)
+        }
+      }
+    })
+  } else if (method === 'Network.requestWillBeSentExtraInfo') {
+    // The headers actually sent, including cookies
+    record.data.requestHeaders = toHeaderList(params.headers)
+    sendDebuggerUpdate(record)
+  } else if (method === 'Network.responseReceived') {
+    applyDebuggerResponse(record, params.response)
+    sendDebuggerUpdate(record)
+  } else if (method === 'Network.responseReceivedExtraInfo') {
+    // Raw response headers, including Set-Cookie
+    record.data.responseHeaders = toHeaderList(params.headers)
+    sendDebuggerUpdate(record)
+  } else if (method === 'Network.loadingFinished') {
+    session.requests.delete(params.requestId)
+    record.data.responseSize = params.encodedDataLength
+    chrome.debugger.sendCommand(
+      target,
+      'Network.getResponseBody',
+      { requestId: params.requestId },
+      result => {
+        if (chrome.runtime.lastError || !result) {
+          record.data.responseBodyUnavailable = true
+        } else {
+          record.data.responseBody = result.body
+          record.data.responseBodyEncoding = result.base64Encoded
+            ? 'base64'
+            : ''
+        }
+        finishDebuggerRequest(record, params.timestamp)
+      }
+    )
+  } else if (method === 'Network.loadingFailed') {
+    session.requests.delete(params.requestId)
+    record.data.error = true
+    record.data.errorMessage = params.canceled
+      ? 'net::ERR_ABORTED'
+      : params.errorText
+    finishDebuggerRequest(record, params.timestamp)
+  }
+}
+
+function applyDebuggerResponse(record, response) {
+  record.timing = response.timing || null
+  Object.assign(record.data, {
+    statusCode: response.status,
+    statusLine: `${response.protocol || 'HTTP/1.1'} ${response.status} ${
+      response.statusText || ''
+    }`.trim(),
+    responseBodyMimeType: response.mimeType || '',
+    ip: response.remoteIPAddress,
+    fromCache: !!(response.fromDiskCache || response.fromPrefetchCache)
+  })
+  if (!record.data.responseHeaders) {
+    record.data.responseHeaders = toHeaderList(response.headers)
+  }
+}
+
+// webRequest reports the origin of the document that made the request
+function originOf(url) {
+  try {
+    return new URL(url).origin
+  } catch (e) {
+    return undefined
+  }
+}
+
+// Same shape as webRequest's raw requestBody (see serializeRequestBody)
+function toRequestBody(postData) {
+  return {
+    raw: [{ bytes: Array.from(new TextEncoder().encode(postData)) }]
+  }
+}
+
+// Protocol timestamps are monotonic seconds. WebSockets only learn the
+// offset to the wall clock at the handshake, until then use the current time.
+function toWallTime(record, timestamp) {
+  return record.clockOffset === null
+    ? Date.now()
+    : record.clockOffset + timestamp * 1000
+}
+
+function sendDebuggerUpdate(record) {
+  sendToDevtools({
+    type: 'NETWORK_REQUEST_UPDATE',
+    requestId: record.data.requestId,
+    data: { ...record.data }
+  })
+}
+
+function finishDebuggerRequest(record, endTime) {
+  const harTimings = toHarTimings(record.timing, endTime)
+  if (harTimings) {
+    record.data.harTimings = harTimings
+  }
+  sendToDevtools({
+    type: 'NETWORK_REQUEST_COMPLETE',
+    requestId: record.data.requestId,
+    data: {
+      ...record.data,
+      // Only the start carries a wall clock time
+      timeStamp: toWallTime(record, endTime)
+    }
+  })
+}
+
 // Listen to request start (capture request body)
 chrome.webRequest.onBeforeRequest.addListener(
   details => {
-    requestData.set(details.requestId, { ...details })
+    const data = {
+      ...details,
+      requestBody: serializeRequestBody(details.requestBody)
+    }
+
+    // Link requests issued by replayRequest() back to their original
+    if (details.tabId === -1 && details.initiator === extensionOrigin) {
+      const replay = pendingReplays.find(
+        r =>
+          !r.requestId && r.url === details.url && r.method === details.method
+      )
+      if (replay) {
+        replay.requestId = details.requestId
+        data.replayOf = replay.replayOf
+        replayPorts.set(details.requestId, replay.port)
+      }
+    }
+
+    requestData.set(details.requestId, data)
+
+    // Most likely captured with its response body by the debugger instead
+    if (isDebuggerCapturing(details.tabId)) {
+      heldRequestIds.add(details.requestId)
+      return
+    }
+    // A redirect hop after the debugger was turned off
+    heldRequestIds.delete(details.requestId)
 
     // Send immediately to devtools
     sendToDevtools({
       type: 'NETWORK_REQUEST',
-      data: { ...details }
+      data: { ...data }
     })
   },
   { urls: ['<all_urls>'] },
@@ -57,6 +742,7 @@ chrome.webRequest.onBeforeSendHeaders.addListener(
       const existing = requestData.get(details.requestId)
       const updated = { ...existing, ...details }
       requestData.set(details.requestId, updated)
+      if (heldRequestIds.has(details.requestId)) return
 
       // Send update to devtools
       sendToDevtools({
@@ -77,6 +763,7 @@ chrome.webRequest.onHeadersReceived.addListener(
       const existing = requestData.get(details.requestId)
       const updated = { ...existing, ...details }
       requestData.set(details.requestId, updated)
+      if (heldRequestIds.has(details.requestId)) return
 
       // Send update to devtools
       sendToDevtools({
@@ -96,6 +783,11 @@ chrome.webRequest.onCompleted.addListener(
     if (requestData.has(details.requestId)) {
       const data = requestData.get(details.requestId)
       const completeData = { ...data, ...details }
+      if (heldRequestIds.delete(details.requestId)) {
+        requestData.delete(details.requestId)
+        releaseHeldRequest(data, completeData)
+        return
+      }
 
       // Send to devtools
       sendToDevtools({
@@ -118,6 +810,7 @@ chrome.webRequest.onCompleted.addListener(
 
       // Clean up
       requestData.delete(details.requestId)
+      replayPorts.delete(details.requestId)
     }
   },
   { urls: ['<all_urls>'] }
@@ -129,6 +822,11 @@ chrome.webRequest.onErrorOccurred.addListener(
     if (requestData.has(details.requestId)) {
       const data = requestData.get(details.requestId)
       const completeData = { ...data, ...details, error: true }
+      if (heldRequestIds.delete(details.requestId)) {
+        requestData.delete(details.requestId)
+        releaseHeldRequest(data, completeData)
+        return
+      }
 
       sendToDevtools({
         type: 'NETWORK_REQUEST_COMPLETE',
@@ -148,6 +846,7 @@ chrome.webRequest.onErrorOccurred.addListener(
       }
 
       requestData.delete(details.requestId)
+      replayPorts.delete(details.requestId)
     }
   },
   { urls: ['<all_urls>'] }
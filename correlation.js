@@ -0,0 +1,200 @@
+// Joins chrome.devtools.network HAR entries, which carry the response body,
+// to webRequest records. The two APIs describe the same request with
+// unrelated IDs, so candidates sharing the method and URL are scored on
+// start time, request headers, request body and start order, and a
+// response is only attached when one candidate clearly wins.
+class ResponseCorrelator {
+  // Largest start time difference between the two views of a request (ms)
+  static TIME_WINDOW = 10000
+  // Start time difference (ms) at which the time score is halved
+  static TIME_SCALE = 100
+  // Signal weights. A mismatching header or body counts against a candidate
+  // but does not exclude it: binary bodies do not always decode the same.
+  static WEIGHTS = { time: 2, headers: 1, body: 1, mismatch: -2, sequence: 0.5 }
+  // Score lead the best candidate needs over the runner-up
+  static MARGIN = 0.25
+
+  // Trailing slashes and fragments do not tell requests apart
+  static normalizeUrl(url) {
+    try {
+      const urlObj = new URL(url)
+      let path = urlObj.pathname
+      if (path !== '/' && path.endsWith('/')) {
+        path = path.slice(0, -1)
+      }
+      return urlObj.origin + path + urlObj.search
+    } catch (e) {
+      return url
+    }
+  }
+
+  // Only requests with the same key can be two views of one request
+  static key(url, method) {
+    return `${(
+      method || 'GET'
+    ).toUpperCase()} ${ResponseCorrelator.normalizeUrl(url)}`
+  }
+
+  // FNV-1a, enough to compare request bodies without keeping them around
+  static hash(text) {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i)
+      hash = Math.imul(hash, 0x01000193)
+    }
+    return hash >>> 0
+  }
+
+  // Header names are compared lowercased, repeated headers joined
+  static headerMap(headers) {
+    const map = new Map()
+    ;(headers || []).forEach(({ name, value }) => {
+      if (!name || name.startsWith(':')) return
+      const key = name.toLowerCase()
+      map.set(key, map.has(key) ? `${map.get(key)}\n${value}` : value)
+    })
+    return map
+  }
+
+  // Signals of an entry from chrome.devtools.network.onRequestFinished
+  static fromHarEntry(entry) {
+    const request = entry.request || {}
+    const started = Date.parse(entry.startedDateTime)
+    const postText = request.postData && request.postData.text
+    return {
+      key: ResponseCorrelator.key(request.url, request.method),
+      start: isNaN(started) ? null : started,
+      status:
+        entry.response && entry.response.status > 0
+          ? entry.response.status
+          : null,
+      headers: ResponseCorrelator.headerMap(request.headers),
+      bodyHash:
+        typeof postText === 'string' ? ResponseCorrelator.hash(postText) : null
+    }
+  }
+
+  // Signals of a webRequest record. bodyText is its decoded request body,
+  // or null when it cannot be compared with the HAR postData text.
+  static fromRequest(req, bodyText = null) {
+    return {
+      key: ResponseCorrelator.key(req.url, req.method),
+      start: req.timestamp || null,
+      status: req.statusCode || null,
+      headers: ResponseCorrelator.headerMap(req.requestHeaders),
+      bodyHash: bodyText === null ? null : ResponseCorrelator.hash(bodyText)
+    }
+  }
+
+  // Score of a request as the source of a response, null when it cannot be
+  // (different status, or started too far apart)
+  static score(response, request, sameRank) {
+    const weights = ResponseCorrelator.WEIGHTS
+    let score = 0
+
+    if (
+      response.status &&
+      request.status &&
+      response.status !== request.status
+    ) {
+      return null
+    }
+
+    if (response.start !== null && request.start !== null) {
+      const diff = Math.abs(response.start - request.start)
+      if (diff > ResponseCorrelator.TIME_WINDOW) return null
+      score += weights.time / (1 + diff / ResponseCorrelator.TIME_SCALE)
+    }
+
+    // Only headers seen by both APIs can be compared: webRequest does not
+    // report Cookie, Referer and a few others
+    let shared = 0
+    let different = 0
+    response.headers.forEach((value, name) => {
+      if (request.headers.has(name)) {
+        shared += 1
+        if (request.headers.get(name) !== value) different += 1
+      }
+    })
+    if (shared > 0) {
+      score += different > 0 ? weights.mismatch : weights.headers
+    }
+
+    if (response.bodyHash !== null && request.bodyHash !== null) {
+      score +=
+        response.bodyHash === request.bodyHash ? weights.body : weights.mismatch
+    }
+
+    if (sameRank) {
+      score += weights.sequence
+    }
+
+    return score
+  }
+
+  // Pair responses with requests. Both are lists of { signals, ... } with
+  // the same key. Returns { matches: [{ response, request }], ambiguous:
+  // [{ response, requests }] }; ambiguous responses are left unpaired.
+  static assign(responses, requests) {
+    const byStart = (a, b) => (a.signals.start || 0) - (b.signals.start || 0)
+    const sortedResponses = [...responses].sort(byStart)
+    const sortedRequests = [...requests].sort(byStart)
+
+    // The n-th response started with the n-th request, but only when every
+    // request's response is there to count
+    const ranked = sortedResponses.length === sortedRequests.length
+    const rank = new Map(
+      sortedRequests.map((request, index) => [request, index])
+    )
+
+    const remaining = new Set(sortedRequests)
+    const unmatched = new Set(sortedResponses)
+    const matches = []
+    let ambiguous = []
+
+    // A match can settle a response that was ambiguous in an earlier pass
+    let progress = true
+    while (progress) {
+      progress = false
+      ambiguous = []
+
+      sortedResponses.forEach((response, index) => {
+        if (!unmatched.has(response)) return
+
+        const scored = []
+        remaining.forEach(request => {
+          const score = ResponseCorrelator.score(
+            response.signals,
+            request.signals,
+            ranked && rank.get(request) === index
+          )
+          if (score !== null) scored.push({ request, score })
+        })
+        if (scored.length === 0) return
+        scored.sort((a, b) => b.score - a.score)
+
+        const [best, runnerUp] = scored
+        if (
+          !runnerUp ||
+          best.score - runnerUp.score >= ResponseCorrelator.MARGIN
+        ) {
+          matches.push({ response, request: best.request })
+          remaining.delete(best.request)
+          unmatched.delete(response)
+          progress = true
+        } else {
+          ambiguous.push({
+            response,
+            requests: scored
+              .filter(
+                ({ score }) => best.score - score < ResponseCorrelator.MARGIN
+              )
+              .map(({ request }) => request)
+          })
+        }
+      })
+    }
+
+    return { matches, ambiguous }
+  }
+}
@@ -0,0 +1,137 @@
+// Diff helpers used by the request comparison view
+class Diff {
+  // Compare two lists of { name, value } pairs (headers, query params).
+  // Repeated names are joined so multi-value headers compare as a whole.
+  static keyValues(listA, listB, caseInsensitive = false) {
+    const collect = list => {
+      const map = new Map()
+      ;(list || []).forEach(({ name, value }) => {
+        const key = caseInsensitive ? name.toLowerCase() : name
+        const entry = map.get(key)
+        if (entry) {
+          entry.value += '\n' + (value ?? '')
+        } else {
+          map.set(key, { name, value: value ?? '' })
+        }
+      })
+      return map
+    }
+
+    const a = collect(listA)
+    const b = collect(listB)
+    const keys = [...new Set([...a.keys(), ...b.keys()])]
+
+    return keys.map(key => {
+      const left = a.get(key)
+      const right = b.get(key)
+      return {
+        name: (left || right).name,
+        a: left ? left.value : undefined,
+        b: right ? right.value : undefined,
+        status: !left
+          ? 'added'
+          : !right
+          ? 'removed'
+          : left.value === right.value
+          ? 'same'
+          : 'changed'
+      }
+    })
+  }
+
+  // Structural diff of two parsed JSON values, as a flat list of paths
+  static json(a, b, path = '$', out = []) {
+    const isObject = value =>
+      value !== null && typeof value === 'object' && !Array.isArray(value)
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const length = Math.max(a.length, b.length)
+      for (let i = 0; i < length; i++) {
+        const childPath = `${path}[${i}]`
+        if (i >= a.length) {
+          out.push({ path: childPath, status: 'added', b: b[i] })
+        } else if (i >= b.length) {
+          out.push({ path: childPath, status: 'removed', a: a[i] })
+        } else {
+          Diff.json(a[i], b[i], childPath, out)
+        }
+      }
+    } else if (isObject(a) && isObject(b)) {
+      const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      keys.forEach(key => {
+        const childPath = /^[A-Za-z_$][\w$]*$/.test(key)
+          ? `${path}.${key}`
+          : `${path}[${JSON.stringify(key)}]`
+        if (!(key in a)) {
+          out.push({ path: childPath, status: 'added', b: b[key] })
+        } else if (!(key in b)) {
+          out.push({ path: childPath, status: 'removed', a: a[key] })
+        } else {
+          Diff.json(a[key], b[key], childPath, out)
+        }
+      })
+    } else {
+      const same = JSON.stringify(a) === JSON.stringify(b)
+      out.push({ path, status: same ? 'same' : 'changed', a, b })
+    }
+
+    return out
+  }
+
+  // Line diff based on the longest common subsequence. Returns operations
+  // of type 'same', 'removed' (only in a) and 'added' (only in b).
+  static lines(textA, textB, maxCells = 4000000) {
+    const a = textA.split('\n')
+    const b = textB.split('\n')
+
+    // Too large for the LCS table: compare line by line instead
+    if (a.length * b.length > maxCells) {
+      const ops = []
+      for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (i >= a.length) ops.push({ type: 'added', b: b[i] })
+        else if (i >= b.length) ops.push({ type: 'removed', a: a[i] })
+        else if (a[i] === b[i]) ops.push({ type: 'same', a: a[i], b: b[i] })
+        else {
+          ops.push({ type: 'removed', a: a[i] })
+          ops.push({ type: 'added', b: b[i] })
+        }
+      }
+      return ops
+    }
+
+    // lengths[i][j] = LCS length of a[i:] and b[j:]
+    const lengths = Array.from(
+      { length: a.length + 1 },
+      () => new Uint32Array(b.length + 1)
+    )
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+      }
+    }
+
+    const ops = []
+    let i = 0
+    let j = 0
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push({ type: 'same', a: a[i], b: b[j] })
+        i++
+        j++
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        ops.push({ type: 'removed', a: a[i] })
+        i++
+      } else {
+        ops.push({ type: 'added', b: b[j] })
+        j++
+      }
+    }
+    while (i < a.length) ops.push({ type: 'removed', a: a[i++] })
+    while (j < b.length) ops.push({ type: 'added', b: b[j++] })
+
+    return ops
+  }
+}
@@ -0,0 +1,138 @@
+// REST endpoints found in captured traffic: API calls grouped by host and
+// path template (IDs in the path become placeholders such as
+// /users/{id}/orders), with the methods, status codes, query parameters and
+// JSON body shapes (see JsonShape) seen for each.
+class EndpointCatalog {
+  // Resource types of API calls. Other requests count when they carry JSON.
+  static API_TYPES = ['xmlhttprequest']
+  static METHOD_ORDER = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
+
+  static isApiCall(sample) {
+    if (sample.req.type === 'websocket') return false
+    return (
+      EndpointCatalog.API_TYPES.includes(sample.req.type) ||
+      !!sample.requestShape ||
+      !!sample.responseShape
+    )
+  }
+
+  // samples are [{ req, host, path, method, status, queryParams,
+  // requestShape, responseShape }], one per request, where path is the
+  // template and queryParams the [{ name, value }] of the URL. Returns the
+  // endpoints by call count: [{ key, host, path, count, methods }] where
+  // each method is { method, count, statuses: { [status]: count },
+  // queryParams: [{ name, count, repeated, shape }], requestShape,
+  // responseShapes: { [status]: shape }, requests }. The shape of a query
+  // parameter is the one of its values read as JSON scalars (see
+  // paramValue); repeated is set once a request sent it more than once.
+  static build(samples) {
+    const endpoints = new Map()
+
+    samples.forEach(sample => {
+      if (!EndpointCatalog.isApiCall(sample)) return
+
+      const key = sample.host + sample.path
+      let endpoint = endpoints.get(key)
+      if (!endpoint) {
+        endpoint = {
+          key,
+          host: sample.host,
+          path: sample.path,
+          count: 0,
+          methods: new Map()
+        }
+        endpoints.set(key, endpoint)
+      }
+      endpoint.count += 1
+
+      let operation = endpoint.methods.get(sample.method)
+      if (!operation) {
+        operation = {
+          method: sample.method,
+          count: 0,
+          statuses: {},
+          queryParams: new Map(),
+          requestShape: null,
+          responseShapes: {},
+          requests: []
+        }
+        endpoint.methods.set(sample.method, operation)
+      }
+      operation.count += 1
+      operation.requests.push(sample.req)
+
+      const seen = new Set()
+      sample.queryParams.forEach(({ name, value }) => {
+        const param = operation.queryParams.get(name) || {
+          name,
+          count: 0,
+          repeated: false,
+          shape: null
+        }
+        // A repeated parameter (?tag=a&tag=b) counts once per request
+        if (seen.has(name)) {
+          param.repeated = true
+        } else {
+          param.count += 1
+        }
+        seen.add(name)
+        param.shape = JsonShape.merge(
+          param.shape,
+          JsonShape.of(EndpointCatalog.paramValue(value))
+        )
+        operation.queryParams.set(name, param)
+      })
+      operation.requestShape = JsonShape.merge(
+        operation.requestShape,
+        sample.requestShape
+      )
+      // Pending and failed requests have no status to file a response under
+      if (sample.status) {
+        operation.statuses[sample.status] =
+          (operation.statuses[sample.status] || 0) + 1
+        operation.responseShapes[sample.status] = JsonShape.merge(
+          operation.responseShapes[sample.status] || null,
+          sample.responseShape
+        )
+      }
+    })
+
+    return [...endpoints.values()]
+      .map(endpoint => ({
+        ...endpoint,
+        methods: [...endpoint.methods.values()]
+          .sort(
+            (a, b) =>
+              EndpointCatalog.methodRank(a.method) -
+                EndpointCatalog.methodRank(b.method) ||
+              a.method.localeCompare(b.method)
+          )
+          .map(operation => ({
+            ...operation,
+            queryParams: [...operation.queryParams.values()].sort(
+              (a, b) => b.count - a.count
+            )
+          }))
+      }))
+      .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+  }
+
+  // Numbers and booleans in a query string, so their parameters get a type.
+  // Leading zeros and huge numbers are codes and IDs: they stay strings.
+  static paramValue(text) {
+    if (
+      /^-?(0|[1-9]\d*)(\.\d+)?$/.test(text) &&
+      Number.isSafeInteger(Math.trunc(Number(text)))
+    ) {
+      return Number(text)
+    }
+    if (text === 'true' || text === 'false') return text === 'true'
+    return text
+  }
+
+  // Usual CRUD order, then the rest alphabetically
+  static methodRank(method) {
+    const index = EndpointCatalog.METHOD_ORDER.indexOf(method)
+    return index === -1 ? EndpointCatalog.METHOD_ORDER.length : index
+  }
+}
@@ -0,0 +1,169 @@
+// Streaming response bodies split into events: Server-Sent Events
+// (text/event-stream) and newline-delimited JSON, as streamed by most LLM
+// APIs. Events are { event, id, data, time }; time is the arrival time when
+// the debugger reported it, null for events parsed from the body.
+class EventStream {
+  static NDJSON_TYPES = [
+    'application/x-ndjson',
+    'application/ndjson',
+    'application/jsonl',
+    'application/json-seq'
+  ]
+  // Field names that carry the text of a stream when no `delta` object does
+  static TEXT_FIELDS = ['text', 'content', 'response']
+  // Labels that repeat in every delta rather than adding to the message
+  static LABEL_FIELDS = ['type', 'role']
+
+  static format(req) {
+    const mimeType = (
+      req.responseBodyMimeType ||
+      (req.responseHeaders || []).find(
+        h => h.name.toLowerCase() === 'content-type'
+      )?.value ||
+      ''
+    ).toLowerCase()
+
+    if (mimeType.includes('text/event-stream')) {
+      return 'sse'
+    }
+    if (EventStream.NDJSON_TYPES.some(type => mimeType.includes(type))) {
+      return 'ndjson'
+    }
+    return null
+  }
+
+  static bodyText(req) {
+    if (req.responseBody === null || req.responseBody === undefined) {
+      return ''
+    }
+    if (req.responseBodyEncoding !== 'base64') {
+      return String(req.responseBody)
+    }
+    try {
+      const bytes = Uint8Array.from(atob(req.responseBody), c =>
+        c.charCodeAt(0)
+      )
+      return new TextDecoder().decode(bytes)
+    } catch (e) {
+      return ''
+    }
+  }
+
+  // Events recorded as they arrived win over the ones parsed from the body
+  static events(req) {
+    if (req.streamEvents && req.streamEvents.length > 0) {
+      return req.streamEvents
+    }
+    const text = EventStream.bodyText(req)
+    return EventStream.format(req) === 'ndjson'
+      ? EventStream.parseNdjson(text)
+      : EventStream.parseSse(text)
+  }
+
+  // https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
+  static parseSse(text) {
+    const events = []
+    let data = []
+    let event = ''
+    let id = ''
+
+    const dispatch = () => {
+      if (data.length > 0) {
+        events.push({
+          event: event || 'message',
+          id,
+          data: data.join('\n'),
+          time: null
+        })
+      }
+      data = []
+      event = ''
+    }
+
+    text.split(/\r\n|\r|\n/).forEach(line => {
+      // A blank line dispatches the event, if it had any data
+      if (line === '') {
+        dispatch()
+        return
+      }
+      if (line.startsWith(':')) return // Comment
+
+      const colon = line.indexOf(':')
+      const field = colon === -1 ? line : line.slice(0, colon)
+      let value = colon === -1 ? '' : line.slice(colon + 1)
+      if (value.startsWith(' ')) value = value.slice(1)
+
+      if (field === 'data') {
+        data.push(value)
+      } else if (field === 'event') {
+        event = value
+      } else if (field === 'id' && !value.includes('\0')) {
+        // The last event ID carries over to the following events
+        id = value
+      }
+    })
+
+    // A body cut off mid-event (still streaming) keeps its last event
+    dispatch()
+    return events
+  }
+
+  static parseNdjson(text) {
+    return text
+      .split(/\r?\n/)
+      .map(line => line.replace(/^\x1e/, '').trim())
+      .filter(line => line !== '')
+      .map(data => ({ event: '', id: '', data, time: null }))
+  }
+
+  static parseData(data) {
+    try {
+      return JSON.parse(data)
+    } catch (e) {
+      return undefined
+    }
+  }
+
+  // Concatenate the string fields that stream the message piece by piece.
+  // Those are fields under a `delta` key (OpenAI, Anthropic, the Responses
+  // API), else text/content/response fields found in several events (Gemini,
+  // Ollama). Returns [{ path, text, count }] in first-seen order; array
+  // indexes are kept in the path so parallel choices stay apart.
+  static reassemble(events) {
+    const deltas = new Map()
+    const texts = new Map()
+
+    const add = (map, path, value) => {
+      const entry = map.get(path) || { path, text: '', count: 0 }
+      entry.text += value
+      entry.count += 1
+      map.set(path, entry)
+    }
+
+    const walk = (value, path, underDelta) => {
+      if (typeof value === 'string') {
+        const key = path[path.length - 1]
+        if (EventStream.LABEL_FIELDS.includes(key)) return
+        if (underDelta) {
+          add(deltas, path.join('.'), value)
+        } else if (EventStream.TEXT_FIELDS.includes(key)) {
+          add(texts, path.join('.'), value)
+        }
+      } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key =>
+          walk(value[key], [...path, key], underDelta || key === 'delta')
+        )
+      }
+    }
+
+    events.forEach(({ data }) => {
+      const parsed = EventStream.parseData(data)
+      if (parsed !== undefined) walk(parsed, [], false)
+    })
+
+    if (deltas.size > 0) {
+      return [...deltas.values()]
+    }
+    return [...texts.values()].filter(entry => entry.count > 1)
+  }
+}
@@ -0,0 +1,474 @@
+// Filter query language used by the search box, e.g.
+//   method:POST status:>=400 host:*.api.com -type:image (body:"token" OR header:authorization)
+// Terms are ANDed unless joined with OR, NOT / a leading "-" negates, and
+// parentheses group. Values can be quoted, use * and ? wildcards or be a
+// /regex/flags. Bare words search the URL, headers and bodies.
+class FilterQuery {
+  // kind: how values are matched. exact: compare whole values instead of
+  // looking for a substring.
+  static FIELDS = {
+    url: { kind: 'text' },
+    host: { kind: 'text' },
+    domain: { kind: 'text', alias: 'host' },
+    path: { kind: 'text' },
+    scheme: { kind: 'text', exact: true },
+    method: { kind: 'text', exact: true },
+    type: { kind: 'text', exact: true },
+    mime: { kind: 'text' },
+    initiator: { kind: 'text' },
+    ip: { kind: 'text' },
+    body: { kind: 'text' },
+    reqbody: { kind: 'text' },
+    resbody: { kind: 'text' },
+    status: { kind: 'number' },
+    duration: { kind: 'number', units: { ms: 1, s: 1000, m: 60000 } },
+    size: { kind: 'number', units: { b: 1, kb: 1024, mb: 1024 * 1024 } },
+    header: { kind: 'header' },
+    reqheader: { kind: 'header' },
+    resheader: { kind: 'header' },
+    // GraphQL operation names and types (see GraphQL)
+    operation: { kind: 'text' },
+    op: { kind: 'text', alias: 'operation' },
+    optype: {
+      kind: 'text',
+      exact: true,
+      values: ['query', 'mutation', 'subscription']
+    },
+    is: {
+      kind: 'text',
+      exact: true,
+      values: ['error', 'pending', 'imported', 'replay', 'cached', 'graphql']
+    }
+  }
+
+  // Shorthands accepted by type:, mapped to webRequest resource types
+  static TYPE_ALIASES = {
+    document: ['main_frame', 'sub_frame'],
+    xhr: ['xmlhttprequest'],
+    fetch: ['xmlhttprequest'],
+    css: ['stylesheet'],
+    js: ['script'],
+    img: ['image'],
+    ws: ['websocket']
+  }
+
+  // Parse a query into a tree of { type: 'and' | 'or' | 'not' | 'term' }
+  // nodes, or null for an empty query. Throws an Error with a `position`
+  // (offset in the query) on invalid input. `options.caseSensitive` and
+  // `options.wholeWord` apply to free text: bare words and fields such as
+  // url: or body:, not to exact fields such as method:.
+  static parse(query, options = {}) {
+    const tokens = FilterQuery.tokenize(query || '')
+    if (tokens.length === 0) return null
+
+    let index = 0
+    const peek = () => tokens[index]
+    const fail = (message, token) => {
+      const error = new Error(message)
+      error.position = token ? token.position : query.length
+      throw error
+    }
+
+    const parseOr = () => {
+      const children = [parseAnd()]
+      while (peek() && peek().type === 'or') {
+        index++
+        children.push(parseAnd())
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children }
+    }
+
+    const parseAnd = () => {
+      const children = [parseUnary()]
+      while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+        // AND is optional between terms
+        if (peek().type === 'and') index++
+        children.push(parseUnary())
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children }
+    }
+
+    const parseUnary = () => {
+      const token = peek()
+      if (!token) fail('Expected a term at the end of the query')
+      if (token.type === 'not') {
+        index++
+        return { type: 'not', child: parseUnary() }
+      }
+      if (token.type === 'open') {
+        index++
+        const node = parseOr()
+        if (!peek() || peek().type !== 'close') {
+          fail('Missing closing parenthesis', token)
+        }
+        index++
+        return node
+      }
+      if (token.type === 'term') {
+        index++
+        const term = FilterQuery.compileTerm(token, fail, options)
+        return token.negated ? { type: 'not', child: term } : term
+      }
+      return fail(
+        token.type === 'close'
+          ? 'Unexpected closing parenthesis'
+          : `Expected a term before ${token.text}`,
+        token
+      )
+    }
+
+    const tree = parseOr()
+    if (index < tokens.length) {
+      fail('Unexpected closing parenthesis', tokens[index])
+    }
+    return tree
+  }
+
+  static tokenize(query) {
+    const tokens = []
+    let i = 0
+
+    const fail = (message, position) => {
+      const error = new Error(message)
+      error.position = position
+      throw error
+    }
+
+    // Quoted string starting at query[i], returns [value, end]
+    const readQuoted = start => {
+      let value = ''
+      let j = start + 1
+      while (j < query.length && query[j] !== '"') {
+        if (query[j] === '\\' && j + 1 < query.length) j++
+        value += query[j]
+        j++
+      }
+      if (j >= query.length) fail('Missing closing quote', start)
+      return [value, j + 1]
+    }
+
+    // /regex/flags starting at query[i], returns [{ source, flags }, end]
+    const readRegex = start => {
+      let j = start + 1
+      while (j < query.length && query[j] !== '/') {
+        if (query[j] === '\\') j++
+        j++
+      }
+      if (j >= query.length) fail('Missing closing / in regex', start)
+      const source = query.slice(start + 1, j)
+      let end = j + 1
+      while (end < query.length && /[gimsuy]/.test(query[end])) end++
+      // Global and sticky regexes would make test() depend on lastIndex
+      const flags = query.slice(j + 1, end).replace(/[gy]/g, '')
+      try {
+        new RegExp(source, flags)
+      } catch (e) {
+        fail(`Invalid regex: ${e.message}`, start)
+      }
+      return [{ source, flags }, end]
+    }
+
+    const readWord = start => {
+      let j = start
+      while (j < query.length && !/[\s()]/.test(query[j])) j++
+      return [query.slice(start, j), j]
+    }
+
+    // Value after "field:" or a bare term
+    const readValue = start => {
+      if (query[start] === '"') {
+        const [value, end] = readQuoted(start)
+        return [{ text: value, quoted: true }, end]
+      }
+      if (query[start] === '/') {
+        const [regex, end] = readRegex(start)
+        return [{ regex }, end]
+      }
+      const [value, end] = readWord(start)
+      return [{ text: value }, end]
+    }
+
+    while (i < query.length) {
+      const char = query[i]
+      if (/\s/.test(char)) {
+        i++
+        continue
+      }
+      if (char === '(' || char === ')') {
+        tokens.push({
+          type: char === '(' ? 'open' : 'close',
+          text: char,
+          position: i
+        })
+        i++
+        continue
+      }
+
+      const position = i
+      let negated = false
+      if ((char === '-' || char === '!') && i + 1 < query.length) {
+        // -(...) negates a group
+        if (query[i + 1] === '(') {
+          tokens.push({ type: 'not', text: char, position })
+          i++
+          continue
+        }
+        if (!/\s/.test(query[i + 1])) {
+          negated = true
+          i++
+        }
+      }
+
+      // Keywords are only recognized in upper case
+      const [word] = readWord(i)
+      if (!negated && ['AND', 'OR', 'NOT'].includes(word)) {
+        tokens.push({ type: word.toLowerCase(), text: word, position })
+        i += word.length
+        continue
+      }
+
+      // field:value, unless it looks like a URL (https://...)
+      const field = /^([a-z][a-z-]*):(?!\/\/)/i.exec(query.slice(i))
+      if (field) {
+        const name = field[1].toLowerCase()
+        if (!Object.hasOwn(FilterQuery.FIELDS, name)) {
+          fail(
+            `Unknown field "${field[1]}". Known fields: ${Object.keys(
+              FilterQuery.FIELDS
+            ).join(', ')}. Quote the text to search for it literally.`,
+            i
+          )
+        }
+        const [value, end] = readValue(i + field[0].length)
+        tokens.push({
+          type: 'term',
+          field: name,
+          value,
+          negated,
+          text: query.slice(position, end),
+          position
+        })
+        i = end
+        continue
+      }
+
+      const [value, end] = readValue(i)
+      tokens.push({
+        type: 'term',
+        field: 'text',
+        value,
+        negated,
+        text: query.slice(position, end),
+        position
+      })
+      i = end
+    }
+
+    return tokens
+  }
+
+  // Turn a term token into a { type: 'term', field, match, pattern } node
+  // where match(value) tests one value of the field. Text terms keep their
+  // RegExp in `pattern`, e.g. to highlight matches.
+  static compileTerm(token, fail, options = {}) {
+    const definition = Object.hasOwn(FilterQuery.FIELDS, token.field)
+      ? FilterQuery.FIELDS[token.field]
+      : { kind: 'text' }
+    const field = definition.alias || token.field
+    const { value } = token
+
+    if (!value.regex && value.text === '') {
+      fail(`Missing value after ${token.field}:`, token)
+    }
+
+    if (definition.kind === 'number') {
+      if (value.regex) fail(`${token.field}: does not accept a regex`, token)
+      return {
+        type: 'term',
+        field,
+        match: FilterQuery.compileNumber(value.text, definition, token, fail)
+      }
+    }
+
+    if (definition.kind === 'header') {
+      // header:name or header:name=value
+      let nameMatch
+      let valueMatch = null
+      if (value.regex) {
+        nameMatch = FilterQuery.compileText(value, true)
+      } else {
+        const separator = value.text.indexOf('=')
+        const name =
+          separator > -1 ? value.text.slice(0, separator) : value.text
+        if (!name) fail(`Missing header name after ${token.field}:`, token)
+        nameMatch = FilterQuery.compileText({ text: name }, true)
+        if (separator > -1) {
+          valueMatch = FilterQuery.compileText(
+            { text: value.text.slice(separator + 1) },
+            false,
+            options
+          )
+        }
+      }
+      return {
+        type: 'term',
+        field,
+        match: header =>
+          nameMatch.test(header.name || '') &&
+          (!valueMatch || valueMatch.test(String(header.value ?? '')))
+      }
+    }
+
+    if (definition.values && !definition.values.includes(value.text)) {
+      fail(
+        `Unknown value "${value.text}" for ${
+          token.field
+        }:, expected one of ${definition.values.join(', ')}`,
+        token
+      )
+    }
+
+    if (field === 'type' && !value.regex) {
+      const alias = value.text.toLowerCase()
+      if (Object.hasOwn(FilterQuery.TYPE_ALIASES, alias)) {
+        const types = FilterQuery.TYPE_ALIASES[alias]
+        return { type: 'term', field, match: text => types.includes(text) }
+      }
+    }
+
+    const pattern = FilterQuery.compileText(
+      value,
+      definition.exact,
+      definition.exact ? {} : options
+    )
+    return {
+      type: 'term',
+      field,
+      pattern,
+      match: text => pattern.test(text)
+    }
+  }
+
+  // RegExp for a text value: a substring, or the whole value for exact
+  // fields and wildcards. Case-insensitive unless asked otherwise or a
+  // regex brings its own flags.
+  static compileText(value, exact, options = {}) {
+    const caseFlag = options.caseSensitive ? '' : 'i'
+    const wholeWord = source =>
+      options.wholeWord ? `(?<![\\w])(?:${source})(?![\\w])` : source
+
+    if (value.regex) {
+      return new RegExp(
+        wholeWord(value.regex.source),
+        value.regex.flags || caseFlag
+      )
+    }
+
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    if (!value.quoted && /[*?]/.test(value.text)) {
+      // Wildcards match the whole value, quoted values are literal
+      const source = value.text
+        .split('')
+        .map(char => (char === '*' ? '.*' : char === '?' ? '.' : escape(char)))
+        .join('')
+      return new RegExp(`^${source}$`, caseFlag)
+    }
+
+    return exact
+      ? new RegExp(`^${escape(value.text)}$`, caseFlag)
+      : new RegExp(wholeWord(escape(value.text)), caseFlag)
+  }
+
+  // Supports 404, >=400, <1s, 200-299, 4xx and units such as 500ms or 10kb
+  static compileNumber(text, definition, token, fail) {
+    const parse = raw => {
+      if (!raw) fail(`Missing number after ${token.text}`, token)
+      const match = /^(\d+(?:\.\d+)?)([a-z]*)$/i.exec(raw)
+      if (!match) {
+        fail(`Expected a number for ${token.field}:, got "${raw}"`, token)
+      }
+      const unit = match[2].toLowerCase()
+      if (!unit) return parseFloat(match[1])
+      const factor = definition.units && definition.units[unit]
+      if (!factor) {
+        fail(`Unknown unit "${match[2]}" for ${token.field}:`, token)
+      }
+      return parseFloat(match[1]) * factor
+    }
+
+    const classMatch = /^([1-5])xx$/i.exec(text)
+    if (classMatch) {
+      const min = parseInt(classMatch[1], 10) * 100
+      return number => number >= min && number < min + 100
+    }
+
+    const range = /^([^-]+)-([^-]+)$/.exec(text)
+    if (range) {
+      const min = parse(range[1])
+      const max = parse(range[2])
+      return number => number >= min && number <= max
+    }
+
+    const comparison = /^(>=|<=|>|<|=)?(.*)$/.exec(text)
+    const limit = parse(comparison[2])
+    switch (comparison[1]) {
+      case '>=':
+        return number => number >= limit
+      case '<=':
+        return number => number <= limit
+      case '>':
+        return number => number > limit
+      case '<':
+        return number => number < limit
+      default:
+        return number => number === limit
+    }
+  }
+
+  // Combine trees with AND, skipping empty ones
+  static and(...trees) {
+    const children = trees.filter(Boolean)
+    if (children.length === 0) return null
+    return children.length === 1 ? children[0] : { type: 'and', children }
+  }
+
+  // resolve(field) returns the request's value for a field: a string, a
+  // number, null (missing) or an array of them, any of which may match
+  static evaluate(tree, resolve) {
+    if (!tree) return true
+
+    switch (tree.type) {
+      case 'and':
+        return tree.children.every(child =>
+          FilterQuery.evaluate(child, resolve)
+        )
+      case 'or':
+        return tree.children.some(child => FilterQuery.evaluate(child, resolve))
+      case 'not':
+        return !FilterQuery.evaluate(tree.child, resolve)
+      default: {
+        const value = resolve(tree.field)
+        if (value === null || value === undefined) return false
+        return Array.isArray(value)
+          ? value.some(item => tree.match(item))
+          : tree.match(value)
+      }
+    }
+  }
+
+  // Term nodes that must match for the tree to match, i.e. not under a NOT
+  static positiveTerms(tree, out = []) {
+    if (!tree) return out
+    if (tree.type === 'term') {
+      out.push(tree)
+    } else if (tree.type === 'and' || tree.type === 'or') {
+      tree.children.forEach(child => FilterQuery.positiveTerms(child, out))
+    }
+    return out
+  }
+
+  // Quote a value so it is matched literally
+  static quote(text) {
+    return `"${String(text).replace(/["\\]/g, '\\$&')}"`
+  }
+}
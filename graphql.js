@@ -0,0 +1,259 @@
+// GraphQL requests: operations read from the request (JSON body, batched
+// array body, application/graphql body or GET query parameters), their
+// operation type, and a printer for the query document.
+class GraphQL {
+  static URL_PATTERN = /graphql|\bgql\b/i
+  static OPERATION_TYPES = ['query', 'mutation', 'subscription']
+
+  // [{ operationName, type, query, variables, extensions }], or null when
+  // the request is not a GraphQL call. bodyText is the decoded request body.
+  static parseRequest(url, method, bodyText, contentType = '') {
+    let payload = null
+
+    if (bodyText) {
+      if (contentType.includes('application/graphql')) {
+        payload = { query: bodyText }
+      } else {
+        try {
+          payload = JSON.parse(bodyText)
+        } catch (e) {
+          return null
+        }
+      }
+    } else if ((method || 'GET').toUpperCase() === 'GET') {
+      payload = GraphQL.fromSearchParams(url)
+    }
+
+    const batch = Array.isArray(payload)
+    const candidates = batch ? payload : [payload]
+    if (candidates.length === 0 || !candidates.every(GraphQL.isOperation)) {
+      return null
+    }
+    // Elsewhere than on a GraphQL URL, `query` is as likely a search box
+    // ({"query":"red shoes"}, ?query=shoes): every query must parse into an
+    // operation. Persisted queries carry no query text, so they need the URL.
+    if (
+      !GraphQL.URL_PATTERN.test(url || '') &&
+      !candidates.every(
+        candidate =>
+          typeof candidate.query === 'string' &&
+          GraphQL.definitions(candidate.query).length > 0
+      )
+    ) {
+      return null
+    }
+
+    return candidates.map(candidate => {
+      const query = typeof candidate.query === 'string' ? candidate.query : ''
+      const definition = GraphQL.findOperation(query, candidate.operationName)
+      return {
+        operationName: candidate.operationName || definition.name || '',
+        type: definition.type,
+        query,
+        variables: candidate.variables ?? null,
+        extensions: candidate.extensions ?? null
+      }
+    })
+  }
+
+  static isOperation(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return false
+    }
+    if (typeof payload.query === 'string') {
+      return true
+    }
+    return (
+      typeof payload.operationName === 'string' &&
+      !!(payload.extensions && payload.extensions.persistedQuery)
+    )
+  }
+
+  static fromSearchParams(url) {
+    let params
+    try {
+      params = new URL(url).searchParams
+    } catch (e) {
+      return null
+    }
+    if (!params.has('query') && !params.has('extensions')) return null
+
+    const json = name => {
+      try {
+        return params.has(name) ? JSON.parse(params.get(name)) : undefined
+      } catch (e) {
+        return params.get(name)
+      }
+    }
+    return {
+      query: params.get('query') ?? undefined,
+      operationName: params.get('operationName') ?? undefined,
+      variables: json('variables'),
+      extensions: json('extensions')
+    }
+  }
+
+  // { type, name } of the operation to run: the one named operationName,
+  // else the first one. type is null when the query text is not known.
+  static findOperation(query, operationName) {
+    const definitions = GraphQL.definitions(query)
+    const operation =
+      definitions.find(
+        definition => operationName && definition.name === operationName
+      ) || definitions[0]
+    return operation || { type: null, name: '' }
+  }
+
+  // Operation definitions of a document, in order. A selection set without
+  // a keyword is a query.
+  static definitions(query) {
+    const definitions = []
+    const tokens = GraphQL.tokenize(query)
+    let depth = 0
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i]
+      if (token === '{') {
+        if (depth === 0 && (i === 0 || tokens[i - 1] === '}')) {
+          definitions.push({ type: 'query', name: '' })
+        }
+        depth += 1
+      } else if (token === '}') {
+        depth -= 1
+      } else if (depth === 0 && GraphQL.OPERATION_TYPES.includes(token)) {
+        const next = tokens[i + 1]
+        definitions.push({
+          type: token,
+          name: next && /^[_A-Za-z]/.test(next) ? next : ''
+        })
+      }
+    }
+    return definitions
+  }
+
+  // Names, punctuators, strings and numbers. Commas and comments are
+  // dropped; a parenthesized group (arguments, variable definitions) is
+  // kept as one token with its whitespace collapsed.
+  static tokenize(query) {
+    const tokens = []
+    let i = 0
+
+    const readString = start => {
+      if (query.startsWith('"""', start)) {
+        const end = query.indexOf('"""', start + 3)
+        return end === -1 ? query.length : end + 3
+      }
+      let j = start + 1
+      while (j < query.length && query[j] !== '"' && query[j] !== '\n') {
+        j += query[j] === '\\' ? 2 : 1
+      }
+      return j + 1
+    }
+
+    while (i < query.length) {
+      const char = query[i]
+      if (/[\s,]/.test(char)) {
+        i += 1
+      } else if (char === '#') {
+        while (i < query.length && query[i] !== '\n') i += 1
+      } else if (char === '"') {
+        const end = readString(i)
+        tokens.push(query.slice(i, end))
+        i = end
+      } else if (char === '(') {
+        let depth = 0
+        let group = ''
+        while (i < query.length) {
+          if (query[i] === '"') {
+            const end = readString(i)
+            group += query.slice(i, end)
+            i = end
+            continue
+          }
+          if (query[i] === '(') depth += 1
+          if (query[i] === ')') depth -= 1
+          group += /\s/.test(query[i]) ? ' ' : query[i]
+          i += 1
+          if (depth === 0) break
+        }
+        tokens.push(
+          group.replace(/ +/g, ' ').replace(/\( /g, '(').replace(/ \)/g, ')')
+        )
+      } else if (query.startsWith('...', i)) {
+        tokens.push('...')
+        i += 3
+      } else {
+        const match = /^[_A-Za-z][_0-9A-Za-z]*|^-?\d[\d.eE+-]*/.exec(
+          query.slice(i)
+        )
+        const token = match ? match[0] : char
+        tokens.push(token)
+        i += token.length
+      }
+    }
+    return tokens
+  }
+
+  // One field per line, two-space indent
+  static format(query) {
+    let out = ''
+    let depth = 0
+    let prev = null
+    let beforePrev = null
+
+    const newline = () => {
+      out = out.trimEnd() + '\n' + '  '.repeat(depth)
+    }
+    const isWord = token => !!token && /^[_A-Za-z0-9"$-]/.test(token)
+
+    GraphQL.tokenize(query).forEach(token => {
+      if (token === '{') {
+        out += out && !/\s$/.test(out) ? ' {' : '{'
+        depth += 1
+        newline()
+      } else if (token === '}') {
+        depth = Math.max(0, depth - 1)
+        newline()
+        out += depth === 0 ? '}\n\n' : '}'
+      } else if (token.startsWith('(') || token === ':' || token === '!') {
+        out += token === ':' ? ': ' : token
+      } else if (token === '@') {
+        out += /\s$/.test(out) ? '@' : ' @'
+      } else {
+        // A name after a field, its arguments or its selection set starts
+        // the next field, except in "... on Type" and "...Fragment"
+        const startsField =
+          depth > 0 &&
+          (isWord(prev) || (prev && prev.startsWith('(')) || prev === '}') &&
+          !(prev === 'on' && beforePrev === '...')
+        if (startsField) {
+          newline()
+        } else if (
+          out &&
+          !/[\s@]$/.test(out) &&
+          !(prev === '...' && token !== 'on')
+        ) {
+          out += ' '
+        }
+        out += token
+      }
+      beforePrev = prev
+      prev = token
+    })
+    return out.trim()
+  }
+
+  // The response for each operation: batched calls answer with an array
+  static splitResponse(responseText, count) {
+    let parsed
+    try {
+      parsed = JSON.parse(responseText)
+    } catch (e) {
+      return null
+    }
+    if (Array.isArray(parsed)) {
+      return parsed.length === count ? parsed : null
+    }
+    return count === 1 && parsed && typeof parsed === 'object' ? [parsed] : null
+  }
+}
@@ -0,0 +1,325 @@
+// Shapes of JSON values, merged across samples so the types, optional keys
+// and observed values of an API's bodies build up as traffic is captured.
+// A shape is { count, types } where types maps each JSON type seen (see
+// TYPES) to an entry:
+//   scalars: { count, values } with the distinct values seen, null once
+//     there were too many (or too long ones) for an enum
+//   arrays: { count, items } with the merged shape of the items, null when
+//     every array was empty
+//   objects: { count, properties } with a Map of key -> shape. A key whose
+//     shape count is below the entry count was missing from some objects.
+class JsonShape {
+  // In the order they are described
+  static TYPES = ['object', 'array', 'string', 'integer', 'number', 'boolean']
+  // Distinct scalar values kept per shape, enough to spot an enum
+  static MAX_VALUES = 10
+  // Longer strings are free text or IDs, not enum members
+  static MAX_VALUE_LENGTH = 64
+  // Items looked at per array: the rest are assumed alike
+  static MAX_ITEMS = 100
+  static MAX_DEPTH = 32
+  // Larger bodies are not parsed
+  static MAX_TEXT_SIZE = 1024 * 1024
+  // Strings become an enum once each of their values was seen this often on
+  // average. A single value is a constant of the samples, not an enum.
+  static ENUM_SAMPLES_PER_VALUE = 3
+  static SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema'
+
+  static typeOf(value) {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : 'number'
+    }
+    return typeof value
+  }
+
+  static of(value, depth = 0) {
+    const type = JsonShape.typeOf(value)
+    const entry = { count: 1 }
+
+    if (type === 'array') {
+      entry.items = null
+      if (depth < JsonShape.MAX_DEPTH) {
+        value.slice(0, JsonShape.MAX_ITEMS).forEach(item => {
+          entry.items = JsonShape.merge(
+            entry.items,
+            JsonShape.of(item, depth + 1)
+          )
+        })
+      }
+    } else if (type === 'object') {
+      entry.properties = new Map()
+      if (depth < JsonShape.MAX_DEPTH) {
+        Object.keys(value).forEach(key =>
+          entry.properties.set(key, JsonShape.of(value[key], depth + 1))
+        )
+      }
+    } else if (type !== 'null') {
+      entry.values =
+        type === 'string' && value.length > JsonShape.MAX_VALUE_LENGTH
+          ? null
+          : [value]
+    }
+
+    return { count: 1, types: { [type]: entry } }
+  }
+
+  // Shape of a JSON object or array body, null for anything else
+  static fromText(text) {
+    if (text === null || text === undefined) return null
+    text = String(text).trim()
+    if (!/^[[{]/.test(text) || text.length > JsonShape.MAX_TEXT_SIZE) {
+      return null
+    }
+    try {
+      return JsonShape.of(JSON.parse(text))
+    } catch (e) {
+      return null
+    }
+  }
+
+  // A new shape describing the samples of both; either may be null
+  static merge(a, b) {
+    if (!a) return b
+    if (!b) return a
+
+    const types = { ...a.types }
+    Object.keys(b.types).forEach(type => {
+      types[type] = types[type]
+        ? JsonShape.mergeEntry(types[type], b.types[type])
+        : b.types[type]
+    })
+    return { count: a.count + b.count, types }
+  }
+
+  static mergeEntry(a, b) {
+    const entry = { count: a.count + b.count }
+
+    if (a.properties) {
+      entry.properties = new Map(a.properties)
+      b.properties.forEach((shape, key) =>
+        entry.properties.set(
+          key,
+          JsonShape.merge(entry.properties.get(key), shape)
+        )
+      )
+    } else if ('items' in a) {
+      entry.items = JsonShape.merge(a.items, b.items)
+    } else if ('values' in a) {
+      let values = null
+      if (a.values && b.values) {
+        values = [...a.values]
+        b.values.forEach(value => {
+          if (!values.includes(value)) values.push(value)
+        })
+      }
+      entry.values =
+        values && values.length <= JsonShape.MAX_VALUES ? values : null
+    }
+    return entry
+  }
+
+  // Types of a shape in description order, with null last. Integers are
+  // numbers when both were seen.
+  static typeNames(shape) {
+    if (!shape) return []
+    const names = JsonShape.TYPES.filter(
+      type => shape.types[type] && !(type === 'integer' && shape.types.number)
+    )
+    return shape.types.null ? [...names, 'null'] : names
+  }
+
+  static isOptional(objectEntry, key) {
+    return objectEntry.properties.get(key).count < objectEntry.count
+  }
+
+  // Object keys as written in TypeScript
+  static propertyName(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+  }
+
+  // TypeScript-like text of a shape, to read it at a glance
+  static describe(shape, indent = '') {
+    const names = JsonShape.typeNames(shape)
+    if (names.length === 0) return 'unknown'
+
+    return names
+      .map(type => {
+        const entry = shape.types[type]
+        if (type === 'array') {
+          const items = JsonShape.describe(entry.items, indent)
+          return /^\w+$/.test(items) ? `${items}[]` : `Array<${items}>`
+        }
+        if (type === 'object') {
+          if (entry.properties.size === 0) return '{}'
+          const inner = indent + '  '
+          const lines = [...entry.properties.keys()].map(
+            key =>
+              `${inner}${JsonShape.propertyName(key)}${
+                JsonShape.isOptional(entry, key) ? '?' : ''
+              }: ${JsonShape.describe(entry.properties.get(key), inner)}`
+          )
+          return `{\n${lines.join('\n')}\n${indent}}`
+        }
+        return type
+      })
+      .join(' | ')
+  }
+
+  // Observed values of a string entry that look like an enum: a few values,
+  // each seen several times on average. Polling the same resource repeats
+  // its names and emails, which must stay plain strings.
+  static enumValues(entry) {
+    if (!entry.values || entry.values.length < 2) return null
+    return entry.count >= entry.values.length * JsonShape.ENUM_SAMPLES_PER_VALUE
+      ? entry.values
+      : null
+  }
+
+  // JSON Schema of a shape. Keys seen in every object are required. null is
+  // a type of its own, or `nullable` the OpenAPI 3.0 way when openApi is set.
+  static toSchema(shape, openApi = false) {
+    const names = JsonShape.typeNames(shape)
+    const nullable = names.includes('null')
+    const schemas = names
+      .filter(type => type !== 'null' || !openApi)
+      .map(type => JsonShape.entrySchema(type, shape.types[type], openApi))
+
+    let schema
+    if (schemas.length === 0) {
+      schema = {}
+    } else if (schemas.length === 1) {
+      schema = schemas[0]
+    } else if (schemas.every(item => Object.keys(item).length === 1)) {
+      // Plain types combine into one type list, except in OpenAPI 3.0
+      schema = openApi
+        ? { anyOf: schemas }
+        : { type: schemas.map(item => item.type) }
+    } else {
+      schema = { anyOf: schemas }
+    }
+    return openApi && nullable ? { ...schema, nullable: true } : schema
+  }
+
+  static entrySchema(type, entry, openApi) {
+    if (type === 'array') {
+      return {
+        type,
+        items: entry.items ? JsonShape.toSchema(entry.items, openApi) : {}
+      }
+    }
+    if (type === 'object') {
+      const schema = { type }
+      if (entry.properties.size === 0) return schema
+
+      // Assigning a __proto__ key would set the prototype instead
+      schema.properties = Object.fromEntries(
+        [...entry.properties].map(([key, shape]) => [
+          key,
+          JsonShape.toSchema(shape, openApi)
+        ])
+      )
+      const required = [...entry.properties.keys()].filter(
+        key => !JsonShape.isOptional(entry, key)
+      )
+      if (required.length > 0) schema.required = required
+      return schema
+    }
+    const values = type === 'string' ? JsonShape.enumValues(entry) : null
+    return values ? { type, enum: values } : { type }
+  }
+
+  // PascalCase type name from a key or path segment: owner_info -> OwnerInfo
+  static typeName(text) {
+    const name = String(text)
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map(word => word[0].toUpperCase() + word.slice(1))
+      .join('')
+    if (!name) return 'Item'
+    return /^\d/.test(name) ? `T${name}` : name
+  }
+
+  // Type name of the items of a list: orders -> Order, categories -> Category
+  static singular(name) {
+    if (/ies$/.test(name)) return name.slice(0, -3) + 'y'
+    if (/(sh|ch|x|ss|us)es$/.test(name)) return name.slice(0, -2)
+    if (/[^su]s$/.test(name)) return name.slice(0, -1)
+    return `${name}Item`
+  }
+
+  // TypeScript declarations for a shape: an interface per object, named
+  // after its key (the singular for array items), and a type alias for a
+  // root that is not an object. Enum-like strings become literal unions.
+  static toTypeScript(shape, rootName) {
+    const declarations = []
+    const used = new Set()
+    const nameFor = base => {
+      let name = base
+      for (let n = 2; used.has(name); n++) {
+        name = `${base}${n}`
+      }
+      used.add(name)
+      return name
+    }
+
+    const typeOf = (shape, name) => {
+      const names = JsonShape.typeNames(shape)
+      if (names.length === 0) return 'unknown'
+
+      return names
+        .map(type => {
+          const entry = shape.types[type]
+          if (type === 'array') {
+            const items = typeOf(entry.items, JsonShape.singular(name))
+            return /^\w+$/.test(items) ? `${items}[]` : `(${items})[]`
+          }
+          if (type === 'object') {
+            if (entry.properties.size === 0) return 'Record<string, unknown>'
+            const interfaceName = nameFor(name)
+            // Parents are declared before the interfaces of their keys
+            const index = declarations.push(null) - 1
+            const lines = [...entry.properties.keys()].map(
+              key =>
+                `  ${JsonShape.propertyName(key)}${
+                  JsonShape.isOptional(entry, key) ? '?' : ''
+                }: ${typeOf(
+                  entry.properties.get(key),
+                  JsonShape.typeName(key)
+                )}`
+            )
+            declarations[
+              index
+            ] = `export interface ${interfaceName} {\n${lines.join('\n')}\n}`
+            return interfaceName
+          }
+          if (type === 'string') {
+            const values = JsonShape.enumValues(entry)
+            return values
+              ? values.map(value => JSON.stringify(value)).join(' | ')
+              : 'string'
+          }
+          return type === 'integer' ? 'number' : type
+        })
+        .join(' | ')
+    }
+
+    // A root that is not an object gets the name as a type alias
+    if (JsonShape.typeNames(shape).join() !== 'object') used.add(rootName)
+    const root = typeOf(shape, rootName)
+    if (root !== rootName) {
+      declarations.unshift(`export type ${rootName} = ${root}`)
+    }
+    return declarations.join('\n\n')
+  }
+
+  // Standalone JSON Schema document of a shape
+  static toSchemaDocument(shape, title) {
+    return {
+      $schema: JsonShape.SCHEMA_DIALECT,
+      title,
+      ...JsonShape.toSchema(shape)
+    }
+  }
+}
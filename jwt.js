@@ -0,0 +1,85 @@
+// JSON Web Tokens: decoding, time claims and HMAC signature checks. Nothing
+// leaves the panel: verification runs on crypto.subtle.
+class Jwt {
+  // Claims holding NumericDate values (seconds since the epoch)
+  static TIME_CLAIMS = ['exp', 'nbf', 'iat']
+  static HMAC_HASHES = { HS256: 'SHA-256', HS384: 'SHA-384', HS512: 'SHA-512' }
+  static VALIDITY_LABELS = {
+    expired: 'Expired',
+    'not-yet-valid': 'Not yet valid',
+    valid: 'Valid'
+  }
+
+  static base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/')
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4)
+    const bytes = Uint8Array.from(atob(padded), c => c.charCodeAt(0))
+    return new TextDecoder().decode(bytes)
+  }
+
+  static base64UrlEncode(bytes) {
+    let binary = ''
+    new Uint8Array(bytes).forEach(byte => {
+      binary += String.fromCharCode(byte)
+    })
+    return btoa(binary)
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '')
+  }
+
+  // { header, payload, signature } or null when token is not a JWT
+  static decode(token) {
+    const parts = token.split('.')
+    if (parts.length !== 3) return null
+    try {
+      return {
+        header: JSON.parse(Jwt.base64UrlDecode(parts[0])),
+        payload: JSON.parse(Jwt.base64UrlDecode(parts[1])),
+        signature: parts[2]
+      }
+    } catch (e) {
+      return null
+    }
+  }
+
+  // [{ name, time }] with time in ms, for the time claims present
+  static timeClaims(payload) {
+    return Jwt.TIME_CLAIMS.filter(
+      name => typeof payload[name] === 'number'
+    ).map(name => ({ name, time: payload[name] * 1000 }))
+  }
+
+  // 'expired', 'not-yet-valid' or 'valid'; null without exp or nbf
+  static validity(payload, now = Date.now()) {
+    if (typeof payload.exp === 'number' && payload.exp * 1000 <= now) {
+      return 'expired'
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf * 1000 > now) {
+      return 'not-yet-valid'
+    }
+    if (typeof payload.exp === 'number' || typeof payload.nbf === 'number') {
+      return 'valid'
+    }
+    return null
+  }
+
+  // Resolves with true or false, or null when the algorithm is not HMAC
+  // (RS256, ES256... need the issuer's public key)
+  static verifyHmac(token, secret) {
+    const decoded = Jwt.decode(token)
+    const hash = decoded && Jwt.HMAC_HASHES[decoded.header.alg]
+    if (!hash) return Promise.resolve(null)
+
+    const encoder = new TextEncoder()
+    const signingInput = token.slice(0, token.lastIndexOf('.'))
+    return crypto.subtle
+      .importKey('raw', encoder.encode(secret), { name: 'HMAC', hash }, false, [
+        'sign'
+      ])
+      .then(key =>
+        crypto.subtle.sign('HMAC', key, encoder.encode(signingInput))
+      )
+      .then(signature => Jwt.base64UrlEncode(signature) === decoded.signature)
+  }
+}
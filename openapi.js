@@ -0,0 +1,343 @@
+// OpenAPI 3.0 documents written from the endpoint catalog (see
+// EndpointCatalog): paths, parameters, request bodies and responses, with
+// schemas inferred from every captured call (see JsonShape.toSchema).
+class OpenApi {
+  static VERSION = '3.0.3'
+  static METHODS = [
+    'get',
+    'put',
+    'post',
+    'delete',
+    'options',
+    'head',
+    'patch',
+    'trace'
+  ]
+  // Placeholders written by normalizeEndpointPath in panel.js
+  static PLACEHOLDER = /\{\w+\}/g
+  static PLACEHOLDER_SCHEMAS = {
+    id: { type: 'integer' },
+    uuid: { type: 'string', format: 'uuid' },
+    date: { type: 'string' },
+    hash: { type: 'string' },
+    token: { type: 'string' }
+  }
+  // Scalars written as is in YAML, anything else is a JSON string
+  static YAML_PLAIN = /^[A-Za-z_][\w ./-]*$/
+  static YAML_RESERVED = /^(true|false|null|yes|no|on|off|y|n)$/i
+
+  // endpoints as returned by EndpointCatalog.build, info is the document's
+  // info object. Servers are ordered by call count; paths the first server
+  // was not seen serving list their own.
+  static build(endpoints, info) {
+    const origins = new Map()
+    // By template without placeholder names: /users/{id} and /users/{uuid}
+    // are one path to OpenAPI, which forbids templates differing only there
+    const paths = new Map()
+
+    endpoints.forEach(endpoint => {
+      // Composed requests may carry a URL the browser could not parse
+      if (!endpoint.path.startsWith('/')) return
+
+      const origin = OpenApi.originOf(endpoint)
+      origins.set(origin, (origins.get(origin) || 0) + endpoint.count)
+
+      const key = endpoint.path.replace(OpenApi.PLACEHOLDER, '{}')
+      const path = paths.get(key) || {
+        origins: new Set(),
+        operations: new Map(),
+        placeholders: []
+      }
+      path.origins.add(origin)
+      const names = endpoint.path.match(OpenApi.PLACEHOLDER) || []
+      names.forEach((placeholder, index) => {
+        path.placeholders[index] = (path.placeholders[index] || new Set()).add(
+          placeholder.slice(1, -1)
+        )
+      })
+      endpoint.methods.forEach(operation => {
+        const method = operation.method.toLowerCase()
+        if (
+          !OpenApi.METHODS.includes(method) ||
+          OpenApi.isPreflight(operation)
+        ) {
+          return
+        }
+        const existing = path.operations.get(method)
+        path.operations.set(
+          method,
+          existing ? OpenApi.mergeOperations(existing, operation) : operation
+        )
+      })
+      paths.set(key, path)
+    })
+
+    const servers = [...origins]
+      .sort((a, b) => b[1] - a[1])
+      .map(([url]) => ({ url }))
+    const document = {
+      openapi: OpenApi.VERSION,
+      info,
+      servers,
+      paths: {}
+    }
+    const operationIds = new Set()
+
+    ;[...paths.keys()].sort().forEach(template => {
+      const {
+        origins: pathOrigins,
+        operations,
+        placeholders
+      } = paths.get(template)
+      if (operations.size === 0) return
+
+      const { path, parameters } = OpenApi.pathParameters(
+        template,
+        placeholders
+      )
+      const item = {}
+      if (servers.length > 1 && !pathOrigins.has(servers[0].url)) {
+        item.servers = [...pathOrigins].map(url => ({ url }))
+      }
+      OpenApi.METHODS.forEach(method => {
+        if (!operations.has(method)) return
+        item[method] = OpenApi.operation(
+          method,
+          path,
+          parameters,
+          operations.get(method),
+          operationIds
+        )
+      })
+      document.paths[path] = item
+    })
+
+    return document
+  }
+
+  static originOf(endpoint) {
+    const req = endpoint.methods[0].requests[0]
+    try {
+      return new URL(req.url).origin
+    } catch (e) {
+      return `https://${endpoint.host}`
+    }
+  }
+
+  // CORS preflights are the browser's, not the API's
+  static isPreflight(operation) {
+    return (
+      operation.method === 'OPTIONS' &&
+      operation.requests.every(req =>
+        (req.requestHeaders || []).some(
+          h => h.name.toLowerCase() === 'access-control-request-method'
+        )
+      )
+    )
+  }
+
+  // The same operation captured from several servers (staging and
+  // production, say)
+  static mergeOperations(a, b) {
+    const statuses = { ...a.statuses }
+    const responseShapes = { ...a.responseShapes }
+    Object.keys(b.statuses).forEach(status => {
+      statuses[status] = (statuses[status] || 0) + b.statuses[status]
+      responseShapes[status] = JsonShape.merge(
+        responseShapes[status] || null,
+        b.responseShapes[status]
+      )
+    })
+
+    const queryParams = new Map(a.queryParams.map(param => [param.name, param]))
+    b.queryParams.forEach(param => {
+      const other = queryParams.get(param.name)
+      queryParams.set(
+        param.name,
+        other
+          ? {
+              name: param.name,
+              count: other.count + param.count,
+              repeated: other.repeated || param.repeated,
+              shape: JsonShape.merge(other.shape, param.shape)
+            }
+          : param
+      )
+    })
+
+    return {
+      method: a.method,
+      count: a.count + b.count,
+      statuses,
+      queryParams: [...queryParams.values()],
+      requestShape: JsonShape.merge(a.requestShape, b.requestShape),
+      responseShapes,
+      requests: [...a.requests, ...b.requests]
+    }
+  }
+
+  // Path parameters of a template whose placeholders are {}, given the
+  // placeholder names seen at each position. A position that held several
+  // kinds of IDs is a string named after the first of them alphabetically.
+  // Repeated names are numbered: /users/{id}/orders/{id} becomes
+  // /users/{id}/orders/{id2}.
+  static pathParameters(template, placeholders) {
+    const parameters = []
+    let position = 0
+    const path = template.replace(/\{\}/g, () => {
+      const kinds = [...placeholders[position++]].sort()
+      const placeholder = kinds[0]
+      let name = placeholder
+      for (let n = 2; parameters.some(param => param.name === name); n++) {
+        name = `${placeholder}${n}`
+      }
+      parameters.push({
+        name,
+        in: 'path',
+        required: true,
+        schema:
+          kinds.length === 1 && OpenApi.PLACEHOLDER_SCHEMAS[placeholder]
+            ? { ...OpenApi.PLACEHOLDER_SCHEMAS[placeholder] }
+            : { type: 'string' }
+      })
+      return `{${name}}`
+    })
+    return { path, parameters }
+  }
+
+  static operation(method, path, pathParameters, operation, operationIds) {
+    const result = {
+      operationId: OpenApi.operationId(method, path, operationIds),
+      description: `Inferred from ${operation.count} captured call${
+        operation.count === 1 ? '' : 's'
+      }.`
+    }
+
+    // Query parameters sent on every call are required. Repeated ones are
+    // arrays, which the default form style sends as one parameter per item.
+    const parameters = [
+      ...pathParameters,
+      ...operation.queryParams.map(param => {
+        const schema = JsonShape.toSchema(param.shape, true)
+        return {
+          name: param.name,
+          in: 'query',
+          required: param.count === operation.count,
+          schema: param.repeated ? { type: 'array', items: schema } : schema
+        }
+      })
+    ]
+    if (parameters.length > 0) result.parameters = parameters
+
+    if (operation.requestShape) {
+      result.requestBody = {
+        required: operation.requestShape.count === operation.count,
+        content: {
+          [OpenApi.mediaType(operation.requests, 'requestHeaders')]: {
+            schema: JsonShape.toSchema(operation.requestShape, true)
+          }
+        }
+      }
+    }
+
+    const responses = {}
+    Object.keys(operation.statuses).forEach(status => {
+      const requests = operation.requests.filter(
+        req => String(req.statusCode) === status
+      )
+      const response = { description: OpenApi.statusText(requests, status) }
+      const shape = operation.responseShapes[status]
+      if (shape) {
+        response.content = {
+          [OpenApi.mediaType(requests, 'responseHeaders')]: {
+            schema: JsonShape.toSchema(shape, true)
+          }
+        }
+      }
+      responses[status] = response
+    })
+    // Every operation needs a response, even one that never completed
+    result.responses =
+      Object.keys(responses).length > 0
+        ? responses
+        : { default: { description: 'No response was captured' } }
+
+    return result
+  }
+
+  // getUsersIdOrders for GET /users/{id}/orders, unique in the document
+  static operationId(method, path, used) {
+    const words = path.split(/[^A-Za-z0-9]+/).filter(Boolean)
+    const base =
+      method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('')
+    let id = base
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}${n}`
+    }
+    used.add(id)
+    return id
+  }
+
+  // The JSON media type the requests sent or received (application/json,
+  // application/vnd.api+json...)
+  static mediaType(requests, headersKey) {
+    for (const req of requests) {
+      const header = (req[headersKey] || []).find(
+        h => h.name.toLowerCase() === 'content-type'
+      )
+      const type =
+        header && String(header.value).split(';')[0].trim().toLowerCase()
+      if (type && type.includes('json')) return type
+    }
+    return 'application/json'
+  }
+
+  // Reason phrase of the status line; HTTP/2 responses have none
+  static statusText(requests, status) {
+    const req = requests.find(req =>
+      /^\S+\s+\d{3}\s+\S/.test(req.statusLine || '')
+    )
+    return req
+      ? req.statusLine.replace(/^\S+\s+\d{3}\s+/, '')
+      : `Status ${status}`
+  }
+
+  static yamlScalar(value) {
+    if (typeof value !== 'string') return String(value)
+    return OpenApi.YAML_PLAIN.test(value) &&
+      value.trim() === value &&
+      !OpenApi.YAML_RESERVED.test(value)
+      ? value
+      : JSON.stringify(value)
+  }
+
+  // Block YAML of an object or array: one key or item per line, nested
+  // values indented by two spaces, empty ones written as {} and []
+  static toYaml(value, indent = '') {
+    const isArray = Array.isArray(value)
+    const entries = isArray
+      ? value.map(item => [null, item])
+      : Object.entries(value)
+
+    return entries
+      .map(([key, item]) => {
+        const prefix = isArray
+          ? `${indent}- `
+          : `${indent}${OpenApi.yamlScalar(key)}:`
+        const nested = item !== null && typeof item === 'object'
+
+        if (nested && Object.keys(item).length > 0) {
+          const block = OpenApi.toYaml(item, indent + '  ')
+          // An array item starts on the dash line
+          return isArray ? prefix + block.trimStart() : `${prefix}\n${block}`
+        }
+        const scalar = nested
+          ? Array.isArray(item)
+            ? '[]'
+            : '{}'
+          : OpenApi.yamlScalar(item)
+        return isArray ? prefix + scalar : `${prefix} ${scalar}`
+      })
+      .join('\n')
+  }
+}
@@ -1,9 +1,207 @@
 // Network Analyzer Panel Script
+
+// webRequest resource types mapped to the `_resourceType` values Chrome
+// DevTools writes into its own HAR exports
+const HAR_RESOURCE_TYPES = {
+  main_frame: 'document',
+  sub_frame: 'document',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  object: 'other',
+  xmlhttprequest: 'xhr',
+  ping: 'ping',
+  csp_report: 'csp-violation-report',
+  media: 'media',
+  websocket: 'websocket',
+  other: 'other'
+}
+
+// The reverse mapping, used when importing HAR files from DevTools or other tools
+const WEBREQUEST_RESOURCE_TYPES = {
+  document: 'main_frame',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  xhr: 'xmlhttprequest',
+  fetch: 'xmlhttprequest',
+  eventsource: 'xmlhttprequest',
+  ping: 'ping',
+  'csp-violation-report': 'csp_report',
+  media: 'media',
+  websocket: 'websocket'
+}
+
+// HAR timing phases drawn in the timeline, in the order they happen
+const TIMELINE_PHASES = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+
+// Request list columns in their default order. `width` is in px, the URL
+// column uses it as a minimum and takes the remaining space.
+const REQUEST_COLUMNS = [
+  { id: 'method', label: 'Method', width: 50, visible: true },
+  { id: 'status', label: 'Status', width: 50, visible: true },
+  { id: 'type', label: 'Type', width: 100, visible: true },
+  { id: 'url', label: 'URL', width: 200, visible: true },
+  { id: 'time', label: 'Time', width: 100, visible: true },
+  { id: 'duration', label: 'Duration', width: 70, visible: false },
+  { id: 'size', label: 'Size', width: 70, visible: false },
+  { id: 'mimeType', label: 'MIME Type', width: 140, visible: false },
+  { id: 'initiator', label: 'Initiator', width: 160, visible: false },
+  { id: 'remoteIp', label: 'Remote IP', width: 110, visible: false },
+  { id: 'fromCache', label: 'Cache', width: 60, visible: false }
+]
+
+// Parts of a request searched by bare words in the search box
+const SEARCH_SCOPES = [
+  { id: 'url', label: 'URL', short: 'URL' },
+  { id: 'requestHeaders', label: 'Request headers', short: 'Req headers' },
+  { id: 'responseHeaders', label: 'Response headers', short: 'Res headers' },
+  { id: 'requestBody', label: 'Request body', short: 'Req body' },
+  { id: 'responseBody', label: 'Response body', short: 'Res body' }
+]
+
+// Fields whose matches are highlighted in the URL column
+const HIGHLIGHT_FIELDS = ['text', 'url', 'host', 'path']
+
+const SEARCH_HISTORY_SIZE = 20
+
+// Columns sorted in descending order on the first click
+const DESCENDING_COLUMNS = ['time', 'duration', 'size', 'status']
+
+const MIN_COLUMN_WIDTH = 40
+
+// Fixed row heights (px) used by the virtual list, keep in sync with panel.html
+const ROW_HEIGHT = 32
+const TIMELINE_ROW_HEIGHT = 20
+// Rows rendered above and below the viewport
+const VIRTUAL_OVERSCAN = 10
+
+// Devtools responses and webRequest records that found no counterpart
+// within this time (ms) stop being matched
+const RESPONSE_MATCH_TTL = 60000
+
+// Saved sessions (see SessionStore): the oldest are evicted past these caps
+const SESSION_MAX_COUNT = 20
+const SESSION_MAX_BYTES = 200 * 1024 * 1024
+// Captured requests are written in batches, at most this often (ms)
+const SESSION_SAVE_DELAY = 1000
+
+// WebSocket frames kept per connection; the oldest are dropped past this
+const WEBSOCKET_FRAME_LIMIT = 5000
+// Frames rendered in the Messages tab, the most recent ones
+const WEBSOCKET_RENDER_LIMIT = 500
+// Same for the events of an EventSource connection (see EventStream)
+const STREAM_EVENT_LIMIT = 5000
+const STREAM_RENDER_LIMIT = 500
+const WEBSOCKET_OPCODES = {
+  0: 'continuation',
+  1: 'text',
+  2: 'binary',
+  8: 'close',
+  9: 'ping',
+  10: 'pong'
+}
+// Requests linked per method in the Endpoints view, the most recent ones
+const ENDPOINT_REQUEST_LIMIT = 5
+
 class NetworkAnalyzer {
   constructor() {
     this.requests = new Map()
     this.selectedRequestId = null
+    // Ctrl/Cmd+click selection, used to scope exports
+    this.selectedRequestIds = new Set()
     this.inspectedTabId = null
+    // Traffic captured besides the inspected tab, and whether the tab is
+    // captured through chrome.debugger. Saved in chrome.storage.local.
+    this.captureScope = {
+      serviceWorkers: false,
+      otherTabs: false,
+      debugger: false
+    }
+    this.importCount = 0 // Used to keep imported request IDs unique
+    this.replayCount = 0 // Used for replays webRequest did not report
+    this.compareOnlyChanges = true // Hide identical rows in the diff view
+
+    // Column order, visibility and widths, saved in chrome.storage.local
+    this.columns = REQUEST_COLUMNS.map(column => ({ ...column }))
+    this.sort = { column: 'time', direction: 'desc' }
+    this.draggedColumn = null
+
+    // Compiled filters (see compileFilters) and the search box query error
+    this.filterTree = null
+    this.searchTree = null
+    this.dropdownTree = null
+    this.filterError = null
+    // Named filter combinations, saved in chrome.storage.local
+    this.filterPresets = []
+    // Search box options and recent queries, saved in chrome.storage.local
+    this.searchOptions = {
+      caseSensitive: false,
+      wholeWord: false,
+      scopes: SEARCH_SCOPES.map(scope => scope.id)
+    }
+    this.searchHistory = []
+    this.highlightPatterns = []
+
+    // Sorted result of the filters, patched incrementally (see getVisibleRequests)
+    this.filteredRequests = null
+    this.changedRequestIds = new Set()
+    this.renderScheduled = false
+    this.virtualList = null
+
+    // 'list', 'timeline', 'grouped', 'auth' or 'endpoints'
+    this.viewMode = 'list'
+    // Grouped view: 'host', 'endpoint' or 'status', and the collapsed groups
+    this.groupBy = 'host'
+    this.collapsedGroups = new Set()
+    // Auth view: tokens found in the occurrences of each request object,
+    // the tokens last rendered and the ones whose uses are expanded
+    this.authTokenCache = new WeakMap()
+    this.authTokens = []
+    this.expandedAuthTokens = new Set()
+    // Endpoints view: what each request object tells about its endpoint
+    // (see getEndpointSample), the endpoints last rendered and the expanded ones
+    this.endpointSampleCache = new WeakMap()
+    this.endpoints = []
+    this.expandedEndpoints = new Set()
+    // Response tab: 'body' or 'types' for JSON bodies, and whether types
+    // merge the other responses of the endpoint
+    this.responseView = 'body'
+    this.mergeEndpointTypes = false
+    // Keep requests across navigations, saved in chrome.storage.local.
+    // Each navigation becomes a collapsible separator in the list view.
+    this.preserveLog = false
+    this.navigations = []
+    this.navigationCount = 0
+    this.collapsedNavigations = new Set()
+    // Saving the capture to a SessionStore session, saved in
+    // chrome.storage.local. The session is created on the first write.
+    this.persistSession = false
+    this.session = null
+    this.sessionPromise = null
+    this.sessionName = null
+    this.unsavedRequestIds = new Set()
+    this.sessionSaveTimer = null
+    this.savedSessions = []
+    // Visible time window of the timeline ({ start, end } in ms), null = all
+    this.timelineRange = null
+    // A brush is being dragged on the timeline overview
+    this.timelineBrushing = false
+
+    // Edit-and-resend drafts and their latest result, keyed by original requestId
+    this.composerDrafts = new Map()
+    this.composerResults = new Map()
+    // Messages tab state (search, direction, expanded frames) per WebSocket
+    this.messageViews = new Map()
+    // Events tab: show the concatenated delta fields instead of the events
+    this.reassembleEvents = false
+    this.tabRenderScheduled = false
+    // Body sizes of request objects without a size header (see getResponseSize)
+    this.responseSizeCache = new WeakMap()
+    // GraphQL operations parsed from a request object (see getGraphQL)
+    this.graphqlCache = new WeakMap()
     this.isCapturing = true // Start capturing by default
     this.filters = {
       search: '',
@@ -25,64 +223,38 @@ class NetworkAnalyzer {
   }
 
   init() {
+    // The background worker only sends the traffic of the inspected tab,
+    // plus what the capture scope adds
+    this.inspectedTabId = chrome.devtools.inspectedWindow.tabId
+
     // Connect to background script
-    this.port = chrome.runtime.connect({ name: 'network-analyzer' })
+    this.connectPort()
 
-    // Map to match devtools network requests with webRequest data
-    // Key: URL + method + timestamp (rounded to nearest second)
-    this.pendingResponseBodies = new Map()
+    // Response bodies from chrome.devtools.network not yet joined to a
+    // webRequest record, and the records still waiting for theirs (see
+    // correlateResponses)
+    this.pendingResponses = []
+    this.awaitingResponses = new Set()
 
     // Listen to chrome.devtools.network for response bodies
     chrome.devtools.network.onRequestFinished.addListener(harRequest => {
       this.captureResponseBody(harRequest)
     })
 
-    // Get the inspected tab ID to filter requests by tab
-    // Note: chrome.devtools.inspectedWindow.tabId might not be available in all Chrome versions
-    // We'll use a different approach: show all requests and let the user filter if needed
-    // The key change is removing origin-based filtering which was too restrictive
-    this.inspectedTabId = null
-
     // Get the inspected tab's URL (for reference, but we won't filter by origin)
     chrome.devtools.inspectedWindow.eval(
       'window.location.href',
       inspectedUrl => {
         this.inspectedUrl = inspectedUrl || ''
 
-        // Panel is ready, no need to send INIT since we'll receive all requests
-
         // Also listen for URL changes
         chrome.devtools.network.onNavigated.addListener(url => {
           this.inspectedUrl = url
-          // Clear requests on navigation (optional)
-          // this.requests.clear()
-          // this.render()
+          this.handleNavigation(url)
         })
       }
     )
 
-    this.port.onMessage.addListener(msg => {
-      // Only process requests if capturing is enabled
-      if (!this.isCapturing) {
-        return
-      }
-
-      if (msg.type === 'NETWORK_REQUEST') {
-        // Filter requests by matching URL domain
-        if (this.shouldShowRequest(msg.data)) {
-          this.addRequest(msg.data)
-        }
-      } else if (msg.type === 'NETWORK_REQUEST_UPDATE') {
-        if (this.shouldShowRequest(msg.data)) {
-          this.updateRequest(msg.requestId, msg.data)
-        }
-      } else if (msg.type === 'NETWORK_REQUEST_COMPLETE') {
-        if (this.shouldShowRequest(msg.data)) {
-          this.completeRequest(msg.requestId, msg.data)
-        }
-      }
-    })
-
     this.setupUI()
     this.setupKeyboardShortcuts()
 
@@ -91,10 +263,82 @@ class NetworkAnalyzer {
     setTimeout(() => {
       this.initDarkMode()
       this.updateCaptureButton() // Initialize capture button state
+      this.updateSelectionButtons()
       this.initDetailPanelHeight() // Load saved panel height
+      this.initColumns()
+      this.initFilterPresets()
+      this.initSearchOptions()
+      this.initCaptureScope()
+      this.initPreserveLog()
+      this.initPersistSession()
     }, 100)
   }
 
+  connectPort() {
+    this.port = chrome.runtime.connect({ name: 'network-analyzer' })
+    this.port.onMessage.addListener(msg => this.handlePortMessage(msg))
+
+    // The service worker is stopped when idle or updated, which closes the
+    // port. Reconnecting starts it again; requests it was tracking are lost.
+    this.port.onDisconnect.addListener(() => {
+      setTimeout(() => {
+        try {
+          this.connectPort()
+        } catch (e) {
+          // The extension was reloaded or removed
+          console.warn('Could not reconnect to the background worker:', e)
+        }
+      }, 1000)
+    })
+
+    this.port.postMessage({
+      type: 'INIT',
+      tabId: this.inspectedTabId,
+      scope: this.captureScope
+    })
+  }
+
+  handlePortMessage(msg) {
+    if (msg.type === 'DEBUGGER_STATUS') {
+      this.handleDebuggerStatus(msg)
+      return
+    }
+
+    // Replays are explicitly requested, so they bypass the capture toggle
+    if (msg.type === 'REPLAY_RESULT') {
+      this.handleReplayResult(msg)
+      return
+    }
+
+    // Only process requests if capturing is enabled
+    if (!this.isCapturing) {
+      return
+    }
+
+    if (msg.type === 'NETWORK_REQUEST') {
+      // Filter requests by matching URL domain
+      if (this.shouldShowRequest(msg.data)) {
+        this.addRequest(msg.data)
+      }
+    } else if (msg.type === 'NETWORK_REQUEST_UPDATE') {
+      if (this.shouldShowRequest(msg.data)) {
+        this.updateRequest(msg.requestId, msg.data)
+      }
+    } else if (msg.type === 'NETWORK_REQUEST_COMPLETE') {
+      if (this.shouldShowRequest(msg.data)) {
+        this.completeRequest(msg.requestId, msg.data)
+      }
+    } else if (msg.type === 'WEBSOCKET_FRAME') {
+      if (this.shouldShowRequest(msg.data)) {
+        this.addWebSocketFrame(msg.requestId, msg.data.frame)
+      }
+    } else if (msg.type === 'STREAM_EVENT') {
+      if (this.shouldShowRequest(msg.data)) {
+        this.addStreamEvent(msg.requestId, msg.data.event)
+      }
+    }
+  }
+
   initDetailPanelHeight() {
     chrome.storage.local.get(['detailPanelHeight'], result => {
       if (chrome.runtime.lastError) {
@@ -113,7 +357,17 @@ class NetworkAnalyzer {
 
   captureResponseBody(harRequest) {
     // Get response body
-    harRequest.getContent(body => {
+    harRequest.getContent((body, encoding) => {
+      const captured = {
+        mimeType: harRequest.response.content?.mimeType || '',
+        timings: harRequest.timings,
+        // Bytes over the wire when DevTools knows them, else the body size
+        size:
+          harRequest.response._transferSize > 0
+            ? harRequest.response._transferSize
+            : harRequest.response.content?.size
+      }
+
       // Check for various failure cases
       if (
         body === null ||
@@ -123,182 +377,607 @@ class NetworkAnalyzer {
           harRequest.response.status !== 204)
       ) {
         // Response body not available (might be blocked by CORS, etc.)
-        // Store as "not available" marker
-        this.storeResponseBodyUnavailable(harRequest)
+        captured.unavailable = true
+      } else {
+        captured.body = body
+        captured.encoding = encoding || ''
+      }
+
+      const signals = ResponseCorrelator.fromHarEntry(harRequest)
+      this.pendingResponses.push({
+        signals,
+        captured,
+        receivedAt: Date.now()
+      })
+      this.correlateResponses(signals.key)
+    })
+  }
+
+  // Copy what chrome.devtools.network captured onto a webRequest record.
+  // Returns a new object, as per-request caches are keyed by the object.
+  applyCapturedResponse(original, captured) {
+    const req = { ...original }
+    delete req.responseBodyAmbiguous
+    if (captured.unavailable) {
+      req.responseBodyUnavailable = true
+    } else {
+      req.responseBody = captured.body
+      req.responseBodyMimeType = captured.mimeType
+      req.responseBodyEncoding = captured.encoding
+    }
+    if (captured.timings) {
+      req.harTimings = captured.timings
+    }
+    if (typeof captured.size === 'number' && captured.size >= 0) {
+      req.responseSize = captured.size
+    }
+    return req
+  }
+
+  // Join pending devtools responses to the webRequest records with the same
+  // method and URL. Records that several responses fit equally well are
+  // flagged instead of getting a body that may belong to another call.
+  correlateResponses(key) {
+    const now = Date.now()
+    this.pendingResponses = this.pendingResponses.filter(
+      pending => now - pending.receivedAt < RESPONSE_MATCH_TTL
+    )
+    const responses = this.pendingResponses.filter(
+      pending => pending.signals.key === key
+    )
+    if (responses.length === 0) return
+
+    const candidates = []
+    this.awaitingResponses.forEach(requestId => {
+      const req = this.requests.get(requestId)
+      if (
+        !req ||
+        req.responseBody !== undefined ||
+        req.responseBodyUnavailable ||
+        (req.completed && now - req.endTimestamp > RESPONSE_MATCH_TTL)
+      ) {
+        this.awaitingResponses.delete(requestId)
         return
       }
+      const signals = ResponseCorrelator.fromRequest(
+        req,
+        this.getComparableRequestBody(req)
+      )
+      if (signals.key === key) {
+        candidates.push({ requestId, signals })
+      }
+    })
 
-      // Normalize URLs for matching (remove trailing slashes, handle encoding)
-      const harUrl = this.normalizeUrl(harRequest.request.url)
-      const harMethod = (harRequest.request.method || 'GET').toUpperCase()
+    const { matches, ambiguous } = ResponseCorrelator.assign(
+      responses,
+      candidates
+    )
 
-      // Try to find matching request in our data
-      let matchedRequest = null
-      let matchedRequestId = null
+    matches.forEach(({ response, request }) => {
+      const req = this.requests.get(request.requestId)
+      this.pendingResponses.splice(this.pendingResponses.indexOf(response), 1)
+      this.awaitingResponses.delete(request.requestId)
+      this.requests.set(
+        request.requestId,
+        this.applyCapturedResponse(req, response.captured)
+      )
+      this.onResponseCorrelated(request.requestId)
+    })
 
-      // Search through requests to find a match
-      for (const [requestId, req] of this.requests.entries()) {
-        if (this.matchesRequest(req, harUrl, harMethod, harRequest)) {
-          matchedRequest = req
-          matchedRequestId = requestId
-          break
+    ambiguous.forEach(({ requests }) => {
+      requests.forEach(({ requestId }) => {
+        const req = this.requests.get(requestId)
+        if (!req.responseBodyAmbiguous) {
+          req.responseBodyAmbiguous = true
+          this.onResponseCorrelated(requestId)
         }
+      })
+    })
+  }
+
+  onResponseCorrelated(requestId) {
+    // Update the display if this request is selected
+    if (this.selectedRequestId === requestId) {
+      const activeTab =
+        document.querySelector('.detail-tab.active')?.dataset.tab
+      if (activeTab === 'response') {
+        this.renderDetailPanel('response')
       }
+    }
+    this.markRequestChanged(requestId)
+  }
 
-      if (matchedRequest) {
-        // Update the request with response body
-        matchedRequest.responseBody = body
-        matchedRequest.responseBodyMimeType =
-          harRequest.response.content?.mimeType || ''
+  // The request body as DevTools reports it in postData.text, or null when
+  // webRequest split or parsed it (uploads, form data)
+  getComparableRequestBody(req) {
+    const raw = req.requestBody && req.requestBody.raw
+    if (!raw || raw.length !== 1 || !raw[0].bytes) return null
+    return this.formatRequestBody(req.requestBody)
+  }
 
-        // Update the display if this request is selected
-        if (this.selectedRequestId === matchedRequestId) {
-          const activeTab =
-            document.querySelector('.detail-tab.active')?.dataset.tab
-          if (activeTab === 'response') {
-            this.renderDetailPanel('response')
-          }
+  // Same rule as wantsRequest() in background.js. Messages sent before a
+  // scope change reached the background worker are dropped here.
+  shouldShowRequest(req) {
+    if (req.replayOf) return true
+    if (req.tabId === this.inspectedTabId) return true
+    if (req.tabId === -1) return this.captureScope.serviceWorkers
+    return this.captureScope.otherTabs
+  }
+
+  initPreserveLog() {
+    chrome.storage.local.get(['preserveLog'], result => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error loading preserve log:', chrome.runtime.lastError)
+        return
+      }
+      this.setPreserveLog(result.preserveLog === true, false)
+    })
+  }
+
+  setPreserveLog(enabled, save = true) {
+    this.preserveLog = enabled
+    const button = document.getElementById('preserveLogBtn')
+    button.classList.toggle('active', enabled)
+    button.setAttribute('aria-pressed', String(enabled))
+
+    if (save) {
+      chrome.storage.local.set({ preserveLog: enabled }, () => {
+        if (chrome.runtime.lastError) {
+          console.warn('Error saving preserve log:', chrome.runtime.lastError)
         }
+      })
+    }
+  }
 
-        this.render()
-      } else {
-        // Store for later - request might come from webRequest later
-        // Use a more flexible key (URL + method only, no timestamp)
-        const key = `${harUrl}::${harMethod}`
-        this.pendingResponseBodies.set(key, {
-          body: body,
-          mimeType: harRequest.response.content?.mimeType || '',
-          harRequest: harRequest,
-          timestamp: Date.now() // Store when we captured it
-        })
+  // Remove captured requests. With keepFrom, requests that started at or
+  // after that time (the new page's own requests) are kept.
+  clearRequests(keepFrom = null) {
+    // Clearing the whole list starts a new session. Page navigations keep
+    // saving to the same one.
+    if (keepFrom === null) {
+      this.saveSession()
+      this.session = null
+      this.sessionPromise = null
+      this.sessionName = null
+    }
 
-        // Also try to match later (in case request comes in after)
-        setTimeout(() => {
-          this.tryMatchPendingResponse(key)
-        }, 500)
-        setTimeout(() => {
-          this.tryMatchPendingResponse(key)
-        }, 2000)
+    this.requests.forEach((req, requestId) => {
+      if (keepFrom === null || (req.timestamp || 0) < keepFrom) {
+        this.requests.delete(requestId)
+        this.selectedRequestIds.delete(requestId)
       }
     })
+    this.navigations = []
+    this.collapsedNavigations.clear()
+    this.updateSelectionButtons()
+    this.invalidateFilteredRequests()
+    if (this.requests.has(this.selectedRequestId)) {
+      this.render()
+    } else {
+      this.closeDetailPanel()
+    }
   }
 
-  storeResponseBodyUnavailable(harRequest) {
-    // Mark that we tried to get the response body but it's not available
-    const harUrl = this.normalizeUrl(harRequest.request.url)
-    const harMethod = (harRequest.request.method || 'GET').toUpperCase()
-    const key = `${harUrl}::${harMethod}`
+  handleNavigation(url) {
+    // Stopped capture (e.g. while browsing an imported HAR) keeps the list
+    if (!this.isCapturing) return
+
+    // The document request of the new page was sent before onNavigated
+    // fired, so the page starts with the latest main frame request
+    const previous = this.navigations[this.navigations.length - 1]
+    let documentRequest = null
+    this.requests.forEach(req => {
+      if (
+        req.type === 'main_frame' &&
+        req.tabId === this.inspectedTabId &&
+        !req.replayOf &&
+        (!previous || req.timestamp > previous.timestamp) &&
+        (!documentRequest || req.timestamp > documentRequest.timestamp)
+      ) {
+        documentRequest = req
+      }
+    })
+    const timestamp = documentRequest ? documentRequest.timestamp : Date.now()
 
-    // Find matching request and mark response body as unavailable
-    for (const [requestId, req] of this.requests.entries()) {
-      const reqUrl = this.normalizeUrl(req.url)
-      const reqMethod = (req.method || 'GET').toUpperCase()
+    if (!this.preserveLog) {
+      this.clearRequests(timestamp)
+      return
+    }
 
-      if (reqUrl === harUrl && reqMethod === harMethod) {
-        if (req.responseBody === undefined) {
-          req.responseBodyUnavailable = true
+    this.navigations.push({
+      id: `nav-${++this.navigationCount}`,
+      url,
+      timestamp
+    })
+    this.render()
+  }
 
-          if (this.selectedRequestId === requestId) {
-            const activeTab =
-              document.querySelector('.detail-tab.active')?.dataset.tab
-            if (activeTab === 'response') {
-              this.renderDetailPanel('response')
-            }
-          }
-        }
-        break
+  initPersistSession() {
+    chrome.storage.local.get(['persistSession'], result => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error loading session setting:', chrome.runtime.lastError)
+        return
       }
+      this.setPersistSession(result.persistSession === true, false)
+    })
+  }
+
+  setPersistSession(enabled, save = true) {
+    this.persistSession = enabled
+    document.getElementById('sessionsBtn').classList.toggle('active', enabled)
+
+    if (enabled) {
+      // Save what was captured before persistence was turned on
+      this.requests.forEach((req, requestId) =>
+        this.scheduleSessionSave(requestId)
+      )
+    } else {
+      clearTimeout(this.sessionSaveTimer)
+      this.sessionSaveTimer = null
+      this.unsavedRequestIds.clear()
+    }
+
+    if (save) {
+      chrome.storage.local.set({ persistSession: enabled }, () => {
+        if (chrome.runtime.lastError) {
+          console.warn(
+            'Error saving session setting:',
+            chrome.runtime.lastError
+          )
+        }
+      })
     }
   }
 
-  normalizeUrl(url) {
-    try {
-      const urlObj = new URL(url)
-      // Remove trailing slash for matching
-      let path = urlObj.pathname
-      if (path !== '/' && path.endsWith('/')) {
-        path = path.slice(0, -1)
-      }
-      return urlObj.origin + path + urlObj.search
-    } catch (e) {
-      return url
+  scheduleSessionSave(requestId) {
+    const req = this.requests.get(requestId)
+    // Imported requests (HAR files, reopened sessions) are saved elsewhere
+    if (!this.persistSession || !req || req.imported) return
+
+    this.unsavedRequestIds.add(requestId)
+    if (!this.sessionSaveTimer) {
+      this.sessionSaveTimer = setTimeout(
+        () => this.saveSession(),
+        SESSION_SAVE_DELAY
+      )
+    }
+  }
+
+  // Write the requests changed since the last save
+  saveSession() {
+    clearTimeout(this.sessionSaveTimer)
+    this.sessionSaveTimer = null
+
+    const requests = Array.from(this.unsavedRequestIds)
+      .map(requestId => this.requests.get(requestId))
+      .filter(Boolean)
+    this.unsavedRequestIds.clear()
+    if (requests.length === 0) return
+
+    if (!this.sessionPromise) {
+      this.sessionPromise = SessionStore.createSession(
+        this.sessionName || this.getDefaultSessionName()
+      ).then(session => {
+        this.session = session
+        return session
+      })
     }
+
+    const sessionPromise = this.sessionPromise
+    sessionPromise
+      .then(session =>
+        SessionStore.saveRequests(session.id, requests).then(() =>
+          SessionStore.enforceLimits(session.id, {
+            maxSessions: SESSION_MAX_COUNT,
+            maxBytes: SESSION_MAX_BYTES
+          })
+        )
+      )
+      .catch(err => {
+        console.warn('Error saving session:', err)
+        // Start over with a new session on the next save
+        if (this.sessionPromise === sessionPromise) {
+          this.session = null
+          this.sessionPromise = null
+        }
+      })
   }
 
-  matchesRequest(webRequest, harUrl, harMethod, harRequest) {
-    // Normalize webRequest URL
-    const webUrl = this.normalizeUrl(webRequest.url)
-    const webMethod = (webRequest.method || 'GET').toUpperCase()
+  getDefaultSessionName() {
+    const host = this.parseUrlParts(this.inspectedUrl || '').hostname
+    const date = new Date().toLocaleString()
+    return host ? `${host} ${date}` : date
+  }
+
+  setupSessions() {
+    const menu = document.getElementById('sessionMenu')
+
+    document.getElementById('sessionsBtn').addEventListener('click', e => {
+      if (!menu.hidden) {
+        this.closePopupMenus()
+        return
+      }
+      const rect = e.currentTarget.getBoundingClientRect()
+      this.openSessionMenu(rect.left, rect.bottom)
+    })
+
+    menu.addEventListener('click', e => {
+      const open = e.target.closest('[data-open-session]')
+      const remove = e.target.closest('[data-delete-session]')
+
+      if (open) {
+        const session = this.savedSessions.find(
+          saved => saved.id === open.dataset.openSession
+        )
+        if (session) {
+          this.openSession(session)
+        }
+        this.closePopupMenus()
+      } else if (remove) {
+        this.deleteSession(remove.dataset.deleteSession)
+      }
+    })
+
+    menu.addEventListener('change', e => {
+      if (e.target.id === 'persistSessionToggle') {
+        this.setPersistSession(e.target.checked)
+        this.renderSessionMenu()
+      } else if (e.target.id === 'sessionNameInput') {
+        this.renameSession(e.target.value.trim())
+      }
+    })
 
-    // Match by URL and method
-    if (webUrl !== harUrl) return false
-    if (webMethod !== harMethod) return false
+    // Write the last batch before the panel goes away
+    window.addEventListener('pagehide', () => this.saveSession())
+  }
 
-    // Timestamp matching (within 10 seconds for more tolerance)
-    const webRequestTime = webRequest.timeStamp || webRequest.timestamp || 0
-    const harRequestTime = harRequest.time * 1000 // Convert to milliseconds
-    const timeDiff = Math.abs(webRequestTime - harRequestTime)
+  openSessionMenu(x, y) {
+    const menu = document.getElementById('sessionMenu')
+    this.renderSessionMenu()
+    this.openPopupMenu(menu, x, y)
 
-    return timeDiff < 10000 // 10 second tolerance
+    SessionStore.listSessions()
+      .then(sessions => {
+        this.savedSessions = sessions
+        if (!menu.hidden) {
+          this.renderSessionMenu()
+        }
+      })
+      .catch(err => {
+        console.warn('Error loading sessions:', err)
+      })
   }
 
-  tryMatchPendingResponse(key) {
-    const pending = this.pendingResponseBodies.get(key)
-    if (!pending) return
+  renderSessionMenu() {
+    const menu = document.getElementById('sessionMenu')
+    const currentId = this.session && this.session.id
+    const sessions = this.savedSessions
+      .map(
+        session => `
+          <div class="preset-item">
+            <button class="preset-apply" data-open-session="${this.escapeAttribute(
+              session.id
+            )}" title="Saved ${this.escapeAttribute(
+          new Date(session.updatedAt).toLocaleString()
+        )}">
+              ${this.escapeHtml(session.name)}
+              <span class="session-meta">${
+                session.id === currentId ? 'current · ' : ''
+              }${session.requestCount} requests · ${this.formatBytes(
+          session.size
+        )}</span>
+            </button>
+            <button class="preset-delete" data-delete-session="${this.escapeAttribute(
+              session.id
+            )}" title="Delete session">×</button>
+          </div>
+        `
+      )
+      .join('')
 
-    // Try to find matching request
-    // Key format: URL::METHOD or URL::METHOD::TIMESTAMP
-    const parts = key.split('::')
-    const url = parts[0]
-    const method = parts[1]
-    const normalizedUrl = this.normalizeUrl(url)
-    const normalizedMethod = method.toUpperCase()
+    const name = this.sessionName || (this.session ? this.session.name : '')
+    menu.innerHTML = `
+      <label title="Keep captured requests in this browser so they can be reopened after DevTools is closed">
+        <input type="checkbox" id="persistSessionToggle" ${
+          this.persistSession ? 'checked' : ''
+        } />
+        Save capture as a session
+      </label>
+      <div class="preset-save">
+        <input type="text" class="filter-input" id="sessionNameInput" value="${this.escapeAttribute(
+          name
+        )}" placeholder="${this.escapeAttribute(
+      this.getDefaultSessionName()
+    )}" title="Name of the current session" ${
+      this.persistSession ? '' : 'disabled'
+    } />
+      </div>
+      ${sessions || '<div class="preset-empty">No saved sessions</div>'}
+    `
+  }
+
+  renameSession(name) {
+    this.sessionName = name || null
+    if (this.session && name) {
+      this.session = { ...this.session, name }
+      SessionStore.renameSession(this.session.id, name).catch(err => {
+        console.warn('Error renaming session:', err)
+      })
+    }
+  }
 
-    for (const [requestId, req] of this.requests.entries()) {
-      const reqUrl = this.normalizeUrl(req.url)
-      const reqMethod = (req.method || 'GET').toUpperCase()
+  deleteSession(sessionId) {
+    // Capture continues in a new session
+    if (this.session && this.session.id === sessionId) {
+      this.session = null
+      this.sessionPromise = null
+    }
+    this.savedSessions = this.savedSessions.filter(
+      session => session.id !== sessionId
+    )
+    this.renderSessionMenu()
 
-      if (reqUrl === normalizedUrl && reqMethod === normalizedMethod) {
-        if (
-          !req.hasOwnProperty('responseBody') ||
-          req.responseBody === undefined
-        ) {
-          req.responseBody = pending.body
-          req.responseBodyMimeType = pending.mimeType
-
-          if (this.selectedRequestId === requestId) {
-            const activeTab =
-              document.querySelector('.detail-tab.active')?.dataset.tab
-            if (activeTab === 'response') {
-              this.renderDetailPanel('response')
-            }
-          }
+    SessionStore.deleteSession(sessionId).catch(err => {
+      console.warn('Error deleting session:', err)
+    })
+  }
 
-          this.render()
+  // Load a saved session into the list, the same way as a HAR import
+  openSession(session) {
+    SessionStore.loadRequests(session.id)
+      .then(requests => {
+        this.importCount += 1
+        const prefix = `session-${this.importCount}-`
+
+        if (this.isCapturing) {
+          this.isCapturing = false
+          this.updateCaptureButton()
         }
 
-        this.pendingResponseBodies.delete(key)
-        break
+        requests.forEach(data => {
+          const request = {
+            ...data,
+            requestId: prefix + data.requestId,
+            imported: true,
+            importSource: session.name,
+            importKind: 'session'
+          }
+          if (data.replayOf) {
+            request.replayOf = prefix + data.replayOf
+          }
+          this.requests.set(request.requestId, request)
+        })
+
+        this.invalidateFilteredRequests()
+        this.render()
+      })
+      .catch(err => {
+        console.error('Failed to open session:', err)
+        alert(`Could not open session ${session.name}: ${err.message}`)
+      })
+  }
+
+  toggleNavigation(navigationId) {
+    if (this.collapsedNavigations.has(navigationId)) {
+      this.collapsedNavigations.delete(navigationId)
+    } else {
+      this.collapsedNavigations.add(navigationId)
+    }
+    this.render()
+  }
+
+  initCaptureScope() {
+    chrome.storage.local.get(['captureScope'], result => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error loading capture scope:', chrome.runtime.lastError)
+        return
+      }
+      const scope = result.captureScope
+      if (!scope) return
+
+      // The debugger permission can be revoked from the extension settings
+      if (scope.debugger) {
+        chrome.permissions.contains({ permissions: ['debugger'] }, granted => {
+          this.setCaptureScope({ ...scope, debugger: granted }, false)
+        })
+      } else {
+        this.setCaptureScope(scope, false)
       }
+    })
+  }
+
+  setCaptureScope(scope, save = true) {
+    this.captureScope = {
+      serviceWorkers: scope.serviceWorkers === true,
+      otherTabs: scope.otherTabs === true,
+      debugger: scope.debugger === true
+    }
+    this.port.postMessage({ type: 'SET_SCOPE', scope: this.captureScope })
+
+    const button = document.getElementById('trafficBtn')
+    const extended =
+      this.captureScope.serviceWorkers ||
+      this.captureScope.otherTabs ||
+      this.captureScope.debugger
+    button.classList.toggle('active', extended)
+
+    if (save) {
+      chrome.storage.local.set({ captureScope: this.captureScope }, () => {
+        if (chrome.runtime.lastError) {
+          console.warn('Error saving capture scope:', chrome.runtime.lastError)
+        }
+      })
     }
   }
 
-  createRequestKey(url, method, time) {
-    // Round time to nearest second for matching
-    const roundedTime = Math.floor(time)
-    return `${url}::${method}::${roundedTime}`
+  setupCaptureScope() {
+    const menu = document.getElementById('trafficMenu')
+
+    document.getElementById('trafficBtn').addEventListener('click', e => {
+      if (!menu.hidden) {
+        this.closePopupMenus()
+        return
+      }
+      this.renderTrafficMenu()
+      const rect = e.currentTarget.getBoundingClientRect()
+      this.openPopupMenu(menu, rect.left, rect.bottom)
+    })
+
+    menu.addEventListener('change', e => {
+      const key = e.target.dataset.scope
+      if (key === 'debugger' && e.target.checked) {
+        // Optional permission, requested on first use
+        chrome.permissions.request({ permissions: ['debugger'] }, granted => {
+          if (granted) {
+            this.setCaptureScope({ ...this.captureScope, debugger: true })
+          } else {
+            e.target.checked = false
+          }
+        })
+      } else if (key) {
+        this.setCaptureScope({ ...this.captureScope, [key]: e.target.checked })
+      }
+    })
   }
 
-  shouldShowRequest(req) {
-    // Show all requests - don't filter by origin or tab
-    // The native Network tab shows all requests regardless of origin,
-    // so we should do the same. Users can filter using the search/filter UI if needed.
+  renderTrafficMenu() {
+    document.getElementById('trafficMenu').innerHTML = `
+        <label>
+          <input type="checkbox" checked disabled />
+          This tab
+        </label>
+        <label title="Requests with tabId -1: service workers, extensions and the browser">
+          <input type="checkbox" data-scope="serviceWorkers" ${
+            this.captureScope.serviceWorkers ? 'checked' : ''
+          } />
+          Service workers and extensions
+        </label>
+        <label>
+          <input type="checkbox" data-scope="otherTabs" ${
+            this.captureScope.otherTabs ? 'checked' : ''
+          } />
+          Other tabs
+        </label>
+        <div class="popup-menu-separator"></div>
+        <label title="Attach chrome.debugger to this tab for exact response bodies, timings, initiator stacks and WebSocket frames. Chrome shows a warning bar while it is attached.">
+          <input type="checkbox" data-scope="debugger" ${
+            this.captureScope.debugger ? 'checked' : ''
+          } />
+          Capture this tab with the debugger
+        </label>
+      `
+  }
 
-    // Only exclude requests that are clearly not from the inspected context:
-    // - Requests with tabId === -1 that are from other tabs (but we can't easily detect this)
-    // For now, show everything and let users filter manually
+  // The background worker could not attach the debugger, or it was detached
+  // (tab closed, warning bar cancelled): capture falls back to webRequest
+  handleDebuggerStatus(msg) {
+    if (msg.attached || !this.captureScope.debugger) return
 
-    return true
+    this.setCaptureScope({ ...this.captureScope, debugger: false })
+    if (!document.getElementById('trafficMenu').hidden) {
+      this.renderTrafficMenu()
+    }
+    alert(`Debugger capture stopped: ${msg.error}`)
   }
 
   setupUI() {
@@ -306,44 +985,169 @@ class NetworkAnalyzer {
     const searchInput = document.getElementById('searchInput')
     searchInput.addEventListener('input', e => {
       this.filters.search = e.target.value
-      this.render()
+      this.onFiltersChanged()
     })
 
     // Filters
     document.getElementById('methodFilter').addEventListener('change', e => {
       this.filters.method = e.target.value
-      this.render()
+      this.onFiltersChanged()
     })
 
     document.getElementById('statusFilter').addEventListener('change', e => {
       this.filters.status = e.target.value
-      this.render()
+      this.onFiltersChanged()
     })
 
     document.getElementById('typeFilter').addEventListener('change', e => {
       this.filters.type = e.target.value
-      this.render()
+      this.onFiltersChanged()
     })
 
     document.getElementById('urlFilter').addEventListener('input', e => {
       this.filters.url = e.target.value
-      this.render()
-    })
-
-    // Capture toggle button
-    document.getElementById('captureBtn').addEventListener('click', () => {
-      this.toggleCapture()
-    })
-
-    // Clear button
-    document.getElementById('clearBtn').addEventListener('click', () => {
-      this.requests.clear()
-      this.selectedRequestId = null
-      this.render()
-      this.closeDetailPanel()
+      this.onFiltersChanged()
     })
 
-    // Tab switching
+    // Rows and group headers are re-created while scrolling, so clicks are
+    // handled once on the list
+    const requestList = document.getElementById('requestList')
+    requestList.addEventListener('click', e => {
+      const link = e.target.closest('[data-select-request]')
+      if (link) {
+        this.selectRequest(link.dataset.selectRequest)
+        return
+      }
+      const copyButton = e.target.closest('.code-copy-btn')
+      if (copyButton) {
+        const target = document.getElementById(copyButton.dataset.copyId)
+        if (target) this.copyToClipboard(target.textContent, copyButton)
+        return
+      }
+      const token = e.target.closest('.auth-token')
+      if (token) {
+        this.toggleAuthToken(this.authTokens[Number(token.dataset.tokenIndex)])
+        return
+      }
+      const endpoint = e.target.closest('.endpoint-row')
+      if (endpoint) {
+        this.toggleEndpoint(
+          this.endpoints[Number(endpoint.dataset.endpointIndex)]
+        )
+        return
+      }
+      const groupHeader = e.target.closest('.group-header')
+      if (groupHeader) {
+        this.toggleGroup(groupHeader.dataset.groupKey)
+        return
+      }
+      const separator = e.target.closest('.navigation-separator')
+      if (separator) {
+        this.toggleNavigation(separator.dataset.navigationId)
+        return
+      }
+      const row = e.target.closest('.request-row, .timeline-row')
+      if (row) {
+        this.handleRowClick(row.dataset.requestId, e)
+      }
+    })
+    requestList.addEventListener('scroll', () => {
+      this.renderVisibleRows()
+    })
+    // The list also shrinks when the detail panel opens or is resized
+    new ResizeObserver(() => this.renderVisibleRows()).observe(requestList)
+
+    this.setupColumns()
+    this.setupFilterPresets()
+    this.setupSearchOptions()
+    this.setupCaptureScope()
+    this.setupSessions()
+
+    // Clicking outside a popup menu closes it, toggle buttons handle their own
+    document.addEventListener('mousedown', e => {
+      if (!e.target.closest('.popup-menu, [data-popup-toggle]')) {
+        this.closePopupMenus()
+      }
+    })
+
+    // View switcher
+    document.getElementById('viewMode').addEventListener('change', e => {
+      this.viewMode = e.target.value
+      document.getElementById('groupBy').hidden = this.viewMode !== 'grouped'
+      this.render()
+    })
+
+    document.getElementById('groupBy').addEventListener('change', e => {
+      this.groupBy = e.target.value
+      this.render()
+    })
+
+    // Capture toggle button
+    document.getElementById('captureBtn').addEventListener('click', () => {
+      this.toggleCapture()
+    })
+
+    // Clear button
+    document.getElementById('clearBtn').addEventListener('click', () => {
+      this.clearRequests()
+    })
+
+    document.getElementById('preserveLogBtn').addEventListener('click', () => {
+      this.setPreserveLog(!this.preserveLog)
+    })
+
+    // Compare the two Ctrl/Cmd+clicked requests
+    document.getElementById('compareBtn').addEventListener('click', () => {
+      this.openComparison()
+    })
+
+    // Modal close button and backdrop
+    document.getElementById('modalCloseBtn').addEventListener('click', () => {
+      this.closeModal()
+    })
+    document.getElementById('modalOverlay').addEventListener('click', e => {
+      if (e.target.id === 'modalOverlay') {
+        this.closeModal()
+      }
+    })
+
+    // HAR export
+    document.getElementById('exportHarBtn').addEventListener('click', () => {
+      this.exportHar()
+    })
+
+    // OpenAPI export
+    const openApiMenu = document.getElementById('openApiMenu')
+    document.getElementById('openApiBtn').addEventListener('click', e => {
+      if (!openApiMenu.hidden) {
+        this.closePopupMenus()
+        return
+      }
+      const rect = e.currentTarget.getBoundingClientRect()
+      this.openPopupMenu(openApiMenu, rect.left, rect.bottom)
+    })
+    openApiMenu.addEventListener('click', e => {
+      const button = e.target.closest('[data-openapi-format]')
+      if (!button) return
+      this.closePopupMenus()
+      this.exportOpenApi(button.dataset.openapiFormat)
+    })
+
+    // HAR import
+    const importHarInput = document.getElementById('importHarInput')
+    document.getElementById('importHarBtn').addEventListener('click', () => {
+      importHarInput.click()
+    })
+    importHarInput.addEventListener('change', e => {
+      const file = e.target.files[0]
+      if (file) {
+        this.importHar(file)
+      }
+      // Allow importing the same file twice in a row
+      e.target.value = ''
+    })
+
+    // Tab switching
     document.querySelectorAll('.detail-tab').forEach(tab => {
       tab.addEventListener('click', e => {
         if (e.target.id === 'detailCloseBtn') return // Don't process close button as tab
@@ -361,6 +1165,14 @@ class NetworkAnalyzer {
       this.closeDetailPanel()
     })
 
+    // Replay button
+    document.getElementById('replayBtn').addEventListener('click', () => {
+      const req = this.requests.get(this.selectedRequestId)
+      if (req) {
+        this.replayRequest(req)
+      }
+    })
+
     // Dark mode toggle
     document.getElementById('darkModeToggle').addEventListener('click', () => {
       this.toggleDarkMode()
@@ -525,7 +1337,14 @@ class NetworkAnalyzer {
         document.getElementById('searchInput').focus()
       }
       if (e.key === 'Escape') {
-        this.clearFilters()
+        // Escape closes an open modal or menu before it clears the filters
+        if (this.isModalOpen()) {
+          this.closeModal()
+        } else if (this.isPopupMenuOpen()) {
+          this.closePopupMenus()
+        } else {
+          this.clearFilters()
+        }
       }
     })
   }
@@ -534,1171 +1353,4803 @@ class NetworkAnalyzer {
     if (!this.requests.has(data.requestId)) {
       const request = { ...data, timestamp: data.timeStamp || Date.now() }
 
-      // Check if we have a pending response body for this request
-      // Try multiple key formats to find a match
-      const normalizedUrl = this.normalizeUrl(data.url)
-      const normalizedMethod = (data.method || 'GET').toUpperCase()
-
-      // Try URL + Method only (simpler matching)
-      const simpleKey = `${normalizedUrl}::${normalizedMethod}`
-      let pendingResponse = this.pendingResponseBodies.get(simpleKey)
-
-      // If not found, try searching all pending responses
-      if (!pendingResponse) {
-        for (const [
-          pendingKey,
-          pending
-        ] of this.pendingResponseBodies.entries()) {
-          const parts = pendingKey.split('::')
-          const pendingUrl = this.normalizeUrl(parts[0])
-          const pendingMethod = parts[1].toUpperCase()
-
-          if (
-            pendingUrl === normalizedUrl &&
-            pendingMethod === normalizedMethod
-          ) {
-            pendingResponse = pending
-            this.pendingResponseBodies.delete(pendingKey)
-            break
-          }
-        }
-      } else {
-        this.pendingResponseBodies.delete(simpleKey)
-      }
-
-      if (pendingResponse) {
-        request.responseBody = pendingResponse.body
-        request.responseBodyMimeType = pendingResponse.mimeType
-      }
-
       this.requests.set(data.requestId, request)
-      this.render()
+      this.markRequestChanged(data.requestId)
+      this.awaitResponse(request)
+    }
+  }
+
+  // Live requests of the inspected tab get their response body from
+  // chrome.devtools.network, see correlateResponses
+  awaitResponse(req) {
+    if (
+      req.imported ||
+      req.replayOf ||
+      req.capturedBy === 'debugger' ||
+      req.tabId !== this.inspectedTabId ||
+      req.responseBody !== undefined
+    ) {
+      return
     }
+    this.awaitingResponses.add(req.requestId)
+    this.correlateResponses(ResponseCorrelator.key(req.url, req.method))
   }
 
   updateRequest(requestId, data) {
     if (this.requests.has(requestId)) {
       const existing = this.requests.get(requestId)
       this.requests.set(requestId, { ...existing, ...data })
+      this.markRequestChanged(requestId)
       if (this.selectedRequestId === requestId) {
-        this.renderDetailPanel()
+        this.refreshDetailPanel()
       }
     }
   }
 
   completeRequest(requestId, data) {
     const existing = this.requests.get(requestId) || {}
-    const updated = { ...existing, ...data, completed: true }
-
-    // Check if we have a pending response body for this request
-    if (
-      !updated.hasOwnProperty('responseBody') ||
-      updated.responseBody === undefined
-    ) {
-      const normalizedUrl = this.normalizeUrl(data.url)
-      const normalizedMethod = (data.method || 'GET').toUpperCase()
-
-      // Try URL + Method only (simpler matching)
-      const simpleKey = `${normalizedUrl}::${normalizedMethod}`
-      let pendingResponse = this.pendingResponseBodies.get(simpleKey)
-
-      // If not found, try searching all pending responses by URL and method
-      if (!pendingResponse) {
-        for (const [
-          pendingKey,
-          pending
-        ] of this.pendingResponseBodies.entries()) {
-          const parts = pendingKey.split('::')
-          const pendingUrl = this.normalizeUrl(parts[0])
-          const pendingMethod = parts[1].toUpperCase()
-
-          if (
-            pendingUrl === normalizedUrl &&
-            pendingMethod === normalizedMethod
-          ) {
-            pendingResponse = pending
-            this.pendingResponseBodies.delete(pendingKey)
-            break
-          }
-        }
-      } else {
-        this.pendingResponseBodies.delete(simpleKey)
-      }
-
-      if (pendingResponse) {
-        updated.responseBody = pendingResponse.body
-        updated.responseBodyMimeType = pendingResponse.mimeType
-      }
+    const updated = {
+      ...existing,
+      ...data,
+      completed: true,
+      // timeStamp is overwritten by every webRequest event, so keep the end
+      endTimestamp: data.timeStamp
     }
 
     this.requests.set(requestId, updated)
-    this.render()
+    this.markRequestChanged(requestId)
+    // The status code narrows down which response belongs to it
+    this.awaitResponse(updated)
     if (this.selectedRequestId === requestId) {
-      this.renderDetailPanel()
+      this.refreshDetailPanel()
     }
   }
 
-  getFilteredRequests() {
-    const requests = Array.from(this.requests.values())
-
-    return requests
-      .filter(req => {
-        // Method filter
-        if (this.filters.method && req.method !== this.filters.method) {
-          return false
-        }
+  addWebSocketFrame(requestId, frame) {
+    const req = this.requests.get(requestId)
+    if (!req) return
 
-        // Status filter
-        if (this.filters.status) {
-          const status = req.statusCode || 0
-          const range = this.filters.status[0]
-          if (range === '2' && (status < 200 || status >= 300)) return false
-          if (range === '3' && (status < 300 || status >= 400)) return false
-          if (range === '4' && (status < 400 || status >= 500)) return false
-          if (range === '5' && status < 500) return false
-        }
+    const frames = req.frames || (req.frames = [])
+    frames.push({ ...frame, size: this.getFrameSize(frame) })
+    if (frames.length > WEBSOCKET_FRAME_LIMIT) {
+      frames.shift()
+      req.framesDropped = (req.framesDropped || 0) + 1
+    }
 
-        // Type filter
-        if (this.filters.type && req.type !== this.filters.type) {
-          return false
-        }
+    this.markRequestChanged(requestId)
+    if (
+      this.selectedRequestId === requestId &&
+      this.getActiveDetailTab() === 'messages'
+    ) {
+      this.scheduleTabRender('messages')
+    }
+  }
 
-        // URL filter
-        if (
-          this.filters.url &&
-          !req.url.toLowerCase().includes(this.filters.url.toLowerCase())
-        ) {
-          return false
-        }
+  addStreamEvent(requestId, event) {
+    const req = this.requests.get(requestId)
+    if (!req) return
 
-        // Search filter (regex supported)
-        if (this.filters.search) {
-          try {
-            const regex = new RegExp(this.filters.search, 'i')
-            const searchable = [
-              req.url,
-              JSON.stringify(req.requestHeaders || []),
-              JSON.stringify(req.responseHeaders || []),
-              this.formatRequestBody(req.requestBody || {}),
-              req.responseBody || ''
-            ].join(' ')
-
-            if (!regex.test(searchable)) {
-              return false
-            }
-          } catch (e) {
-            // Invalid regex, fallback to simple string search
-            const searchable = [
-              req.url,
-              JSON.stringify(req.requestHeaders || []),
-              JSON.stringify(req.responseHeaders || []),
-              this.formatRequestBody(req.requestBody || {}),
-              req.responseBody || ''
-            ].join(' ')
-
-            if (
-              !searchable
-                .toLowerCase()
-                .includes(this.filters.search.toLowerCase())
-            ) {
-              return false
-            }
-          }
-        }
+    const events = req.streamEvents || (req.streamEvents = [])
+    events.push(event)
+    if (events.length > STREAM_EVENT_LIMIT) {
+      events.shift()
+      req.streamEventsDropped = (req.streamEventsDropped || 0) + 1
+    }
 
-        return true
-      })
-      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    this.markRequestChanged(requestId)
+    if (this.selectedRequestId === requestId) {
+      // The first event reveals the Events tab
+      this.updateDetailTabs(req)
+      if (this.getActiveDetailTab() === 'events') {
+        this.scheduleTabRender('events')
+      }
+    }
   }
 
-  render() {
-    const filtered = this.getFilteredRequests()
-    const list = document.getElementById('requestList')
-
-    if (filtered.length === 0) {
-      list.innerHTML =
-        '<div class="empty-state">No requests match the current filters.</div>'
-      return
+  // Payload size in bytes: binary frames arrive base64 encoded
+  getFrameSize(frame) {
+    const data = frame.data || ''
+    if (frame.opcode === 2) {
+      const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0
+      return Math.max(0, Math.floor((data.length * 3) / 4) - padding)
     }
+    return new TextEncoder().encode(data).length
+  }
 
-    list.innerHTML = filtered
-      .map(req => {
-        const url = new URL(req.url)
-        const status = req.statusCode || (req.error ? 'ERR' : '—')
-        const statusClass =
-          req.error || status >= 400
-            ? 'error'
-            : status >= 200 && status < 300
-            ? 'success'
-            : ''
-        const selected =
-          this.selectedRequestId === req.requestId ? 'selected' : ''
-        const method = (req.method || 'GET').toLowerCase()
+  getFilteredRequests() {
+    return Array.from(this.requests.values())
+      .filter(req => this.matchesFilters(req))
+      .sort((a, b) => this.compareRequests(a, b))
+  }
 
-        return `
-        <div class="request-row ${statusClass} ${selected}" data-request-id="${
-          req.requestId
-        }">
-          <div class="method ${method}">${req.method || 'GET'}</div>
-          <div class="status">${status}</div>
-          <div class="type">${req.type || ''}</div>
-          <div class="url">
-            <span class="url-domain">${url.hostname}</span>${url.pathname}${
-          url.search
-        }
-          </div>
-          <div class="time">${this.formatTime(req.timestamp)}</div>
-        </div>
-      `
-      })
-      .join('')
+  compareRequests(a, b) {
+    const valueA = this.getSortValue(a, this.sort.column)
+    const valueB = this.getSortValue(b, this.sort.column)
+    const result =
+      typeof valueA === 'string'
+        ? valueA.localeCompare(valueB)
+        : valueA - valueB
 
-    // Attach click handlers
-    list.querySelectorAll('.request-row').forEach(row => {
-      row.addEventListener('click', () => {
-        const requestId = row.dataset.requestId
-        // If clicking the same request that's already selected, close the detail panel
-        if (this.selectedRequestId === requestId) {
-          this.closeDetailPanel()
-        } else {
-          this.selectRequest(requestId)
-        }
-      })
-    })
+    // Newest first among equal values
+    return (
+      (this.sort.direction === 'desc' ? -result : result) ||
+      (b.timestamp || 0) - (a.timestamp || 0)
+    )
   }
 
-  selectRequest(requestId) {
-    this.selectedRequestId = requestId
-    this.render()
-    this.showDetailPanel()
-    this.resetDetailTabs()
-    this.renderDetailPanel('headers')
+  getSortValue(req, columnId) {
+    switch (columnId) {
+      case 'method':
+        return req.method || 'GET'
+      case 'status':
+        return req.statusCode || 0
+      case 'type':
+        return req.type || ''
+      case 'url':
+        return req.url || ''
+      case 'duration':
+        return this.getRequestDuration(req) ?? -1
+      case 'size':
+        return this.getResponseSize(req) ?? -1
+      case 'mimeType':
+        return this.getMimeType(req)
+      case 'initiator':
+        return req.initiator || ''
+      case 'remoteIp':
+        return req.ip || ''
+      case 'fromCache':
+        return req.fromCache ? 1 : 0
+      default:
+        return req.timestamp || 0
+    }
   }
 
-  resetDetailTabs() {
-    // Reset all tabs and activate the first one (Request/Headers)
-    document.querySelectorAll('.detail-tab').forEach((tab, index) => {
-      tab.classList.remove('active')
-      if (index === 0) {
-        tab.classList.add('active')
+  matchesFilters(req) {
+    // Fields are resolved lazily and once per request
+    const values = new Map()
+    return FilterQuery.evaluate(this.filterTree, field => {
+      if (!values.has(field)) {
+        values.set(field, this.getFilterValue(req, field))
       }
+      return values.get(field)
     })
   }
 
-  closeDetailPanel() {
-    this.selectedRequestId = null
-    this.render()
-    this.hideDetailPanel()
-  }
+  // The dropdowns and the URL box are turned into query terms, so every
+  // filter goes through the same evaluator as the search box
+  compileFilters() {
+    try {
+      this.searchTree = FilterQuery.parse(
+        this.filters.search,
+        this.searchOptions
+      )
+      this.filterError = null
+    } catch (err) {
+      // Keep the last valid query applied until this one is fixed
+      this.filterError = err
+    }
 
-  showDetailPanel() {
-    document.getElementById('detailPanel').classList.add('active')
+    try {
+      this.dropdownTree = FilterQuery.parse(this.getDropdownQuery(this.filters))
+    } catch (err) {
+      // Only values from outside the dropdowns (a stored preset) can fail
+      console.warn('Ignoring invalid dropdown filters:', err)
+    }
+
+    this.filterTree = FilterQuery.and(this.dropdownTree, this.searchTree)
+    // Global copies, exec() walks through every match. Bare words only
+    // highlight the URL when it is part of the search scope.
+    const highlightUrl = this.searchOptions.scopes.includes('url')
+    this.highlightPatterns = FilterQuery.positiveTerms(this.filterTree)
+      .filter(
+        term =>
+          term.pattern &&
+          HIGHLIGHT_FIELDS.includes(term.field) &&
+          (term.field !== 'text' || highlightUrl)
+      )
+      .map(term => new RegExp(term.pattern.source, term.pattern.flags + 'g'))
+    this.renderFilterError()
   }
 
-  hideDetailPanel() {
-    document.getElementById('detailPanel').classList.remove('active')
+  getDropdownQuery(filters) {
+    const terms = []
+    if (filters.method) terms.push(`method:${filters.method}`)
+    if (filters.status) terms.push(`status:${filters.status}`)
+    if (filters.type) terms.push(`type:${filters.type}`)
+    if (filters.url) terms.push(`url:${FilterQuery.quote(filters.url)}`)
+    return terms.join(' ')
   }
 
-  renderDetailPanel(tab = 'headers') {
-    if (!this.selectedRequestId || !this.requests.has(this.selectedRequestId)) {
-      return
+  renderFilterError() {
+    const searchInput = document.getElementById('searchInput')
+    const errorBar = document.getElementById('filterError')
+    const error = this.filterError
+
+    searchInput.classList.toggle('invalid', !!error)
+    errorBar.hidden = !error
+    if (error) {
+      errorBar.textContent = `Query error at column ${error.position + 1}: ${
+        error.message
+      }`
     }
+  }
 
-    const req = this.requests.get(this.selectedRequestId)
-    const content = document.getElementById('detailContent')
-
-    // Reset search state when switching requests or tabs
-    this.responseSearchState.searchTerm = ''
-    this.responseSearchState.matches = []
-    this.responseSearchState.currentMatchIndex = -1
-    this.responseSearchState.originalText = ''
-
-    switch (tab) {
-      case 'headers':
-        content.innerHTML = this.renderHeadersAndRequest(req)
-        break
-      case 'response':
-        content.innerHTML = this.renderResponse(req)
-        break
-      case 'curl':
-        content.innerHTML = this.renderCurl(req)
-        break
-      case 'llm':
-        content.innerHTML = this.renderLLMDetails(req)
-        break
+  getFilterValue(req, field) {
+    switch (field) {
+      case 'url':
+        return req.url || ''
+      case 'host':
+        return this.parseUrlParts(req.url).hostname
+      case 'path':
+        return this.parseUrlParts(req.url).pathname
+      case 'scheme':
+        return (this.parseUrlParts(req.url).protocol || '').replace(':', '')
+      case 'method':
+        return req.method || 'GET'
+      case 'type':
+        return req.type || ''
+      case 'mime':
+        return this.getMimeType(req)
+      case 'initiator':
+        return req.initiator || null
+      case 'ip':
+        return req.ip || null
+      case 'reqbody':
+        return this.formatRequestBody(req.requestBody || {})
+      case 'resbody':
+        return String(req.responseBody ?? '')
+      case 'body':
+        return [
+          this.formatRequestBody(req.requestBody || {}),
+          String(req.responseBody ?? '')
+        ]
+      case 'status':
+        return req.statusCode || 0
+      case 'duration':
+        return this.getRequestDuration(req)
+      case 'size':
+        return this.getResponseSize(req)
+      case 'header':
+        return [...(req.requestHeaders || []), ...(req.responseHeaders || [])]
+      case 'reqheader':
+        return req.requestHeaders || []
+      case 'resheader':
+        return req.responseHeaders || []
+      case 'operation': {
+        const operations = this.getGraphQL(req)
+        return operations ? operations.map(op => op.operationName) : null
+      }
+      case 'optype': {
+        const operations = this.getGraphQL(req)
+        return operations ? operations.map(op => op.type || '') : null
+      }
+      case 'is':
+        return [
+          req.error ? 'error' : '',
+          req.completed ? '' : 'pending',
+          req.imported ? 'imported' : '',
+          req.replayOf ? 'replay' : '',
+          req.fromCache ? 'cached' : '',
+          this.getGraphQL(req) ? 'graphql' : ''
+        ].filter(Boolean)
+      default:
+        // Bare words search the parts of the request in the search scope
+        return this.searchOptions.scopes.map(scope =>
+          this.getSearchScopeText(req, scope)
+        )
     }
+  }
 
-    // Attach copy button event listeners
-    this.attachCopyButtons(content)
-
-    // Setup response body search if response tab is active
-    if (tab === 'response') {
-      this.setupResponseSearch(content)
+  getSearchScopeText(req, scope) {
+    const headerLines = headers =>
+      (headers || [])
+        .map(header => `${header.name}: ${header.value ?? ''}`)
+        .join('\n')
+
+    switch (scope) {
+      case 'url':
+        return req.url || ''
+      case 'requestHeaders':
+        return headerLines(req.requestHeaders)
+      case 'responseHeaders':
+        return headerLines(req.responseHeaders)
+      case 'requestBody':
+        return this.formatRequestBody(req.requestBody || {})
+      case 'responseBody':
+        return String(req.responseBody ?? '')
+      default:
+        return ''
     }
   }
 
-  setupResponseSearch(content) {
-    const searchInput = content.querySelector('.response-search-input')
-    const codeBlock = content.querySelector(
-      '.code-block[id^="copy-response-body-"]'
+  // Search scopes in which the bare words of the search box matched
+  getSearchMatches(req) {
+    const terms = FilterQuery.positiveTerms(this.searchTree).filter(
+      term => term.field === 'text'
     )
+    if (terms.length === 0) return []
 
-    if (!searchInput || !codeBlock) {
-      return // No response body to search
-    }
-
-    const requestId = searchInput.id.replace('response-search-', '')
-    const searchCount = content.querySelector(
-      `#response-search-count-${requestId}`
+    return SEARCH_SCOPES.filter(
+      scope =>
+        this.searchOptions.scopes.includes(scope.id) &&
+        terms.some(term => term.match(this.getSearchScopeText(req, scope.id)))
     )
+  }
 
-    // Initialize search state for this request
-    this.responseSearchState.searchTerm = ''
-    this.responseSearchState.matches = []
-    this.responseSearchState.currentMatchIndex = -1
+  renderMatchBadge(req) {
+    const matches = this.getSearchMatches(req)
+    if (matches.length === 0) return ''
 
-    // Search input handler
-    searchInput.addEventListener('input', e => {
-      const searchTerm = e.target.value
-      this.performResponseSearch(searchTerm, codeBlock, searchCount)
-    })
+    return `<span class="match-badge" title="Matched in: ${matches
+      .map(scope => scope.label)
+      .join(', ')}">${matches.map(scope => scope.short).join(' · ')}</span>`
+  }
 
-    // Tab navigation handler for code block
-    codeBlock.addEventListener('keydown', e => {
-      if (
-        e.key === 'Tab' &&
-        !e.shiftKey &&
-        this.responseSearchState.matches.length > 0
-      ) {
-        e.preventDefault()
-        this.navigateToNextMatch(codeBlock)
-      } else if (
-        e.key === 'Tab' &&
-        e.shiftKey &&
-        this.responseSearchState.matches.length > 0
-      ) {
-        e.preventDefault()
-        this.navigateToPreviousMatch(codeBlock)
+  // Escaped URL with the search matches wrapped in <mark>
+  renderUrlText(url) {
+    const host = url.hostname
+    const rest = url.pathname + url.search
+    const ranges = this.getHighlightRanges(host + rest)
+
+    return `<span class="url-domain">${this.renderHighlighted(
+      host,
+      ranges,
+      0
+    )}</span>${this.renderHighlighted(rest, ranges, host.length)}`
+  }
+
+  getHighlightRanges(text) {
+    const ranges = []
+    this.highlightPatterns.forEach(pattern => {
+      pattern.lastIndex = 0
+      let match
+      while ((match = pattern.exec(text))) {
+        if (match[0].length === 0) {
+          pattern.lastIndex++
+          continue
+        }
+        ranges.push([match.index, match.index + match[0].length])
       }
     })
 
-    // Focus search input with Ctrl/Cmd + F
-    codeBlock.addEventListener('keydown', e => {
-      if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
-        e.preventDefault()
-        searchInput.focus()
-        searchInput.select()
+    // Sort and merge overlapping ranges
+    ranges.sort((a, b) => a[0] - b[0])
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1]
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1])
+      } else {
+        merged.push([...range])
       }
+      return merged
+    }, [])
+  }
+
+  // Render text that starts at `offset` in the string the ranges refer to
+  renderHighlighted(text, ranges, offset) {
+    let html = ''
+    let position = 0
+    ranges.forEach(([start, end]) => {
+      const from = Math.max(start - offset, position)
+      const to = Math.min(end - offset, text.length)
+      if (to <= from) return
+      html += this.escapeHtml(text.slice(position, from))
+      html += `<mark class="search-highlight">${this.escapeHtml(
+        text.slice(from, to)
+      )}</mark>`
+      position = to
     })
+    return html + this.escapeHtml(text.slice(position))
   }
 
-  performResponseSearch(searchTerm, codeBlock, searchCount) {
-    this.responseSearchState.searchTerm = searchTerm
-    this.responseSearchState.currentMatchIndex = -1
+  initSearchOptions() {
+    chrome.storage.local.get(['searchOptions', 'searchHistory'], result => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error loading search options:', chrome.runtime.lastError)
+        return
+      }
 
-    if (!searchTerm.trim()) {
-      // Clear highlights
-      this.clearHighlights(codeBlock)
-      if (searchCount) {
-        searchCount.textContent = ''
+      const saved = result.searchOptions
+      if (saved) {
+        this.searchOptions = {
+          caseSensitive: saved.caseSensitive === true,
+          wholeWord: saved.wholeWord === true,
+          scopes: Array.isArray(saved.scopes)
+            ? saved.scopes.filter(id => SEARCH_SCOPES.some(s => s.id === id))
+            : this.searchOptions.scopes
+        }
+      }
+      if (Array.isArray(result.searchHistory)) {
+        this.searchHistory = result.searchHistory
       }
-      return
-    }
-
-    const originalText = this.responseSearchState.originalText
-    const escapedTerm = this.escapeHtml(searchTerm)
 
-    // Find all matches (case-insensitive)
-    const regex = new RegExp(this.escapeRegex(searchTerm), 'gi')
-    const matches = []
-    let match
+      this.renderSearchOptions()
+      this.renderSearchHistory()
+      this.onFiltersChanged()
+    })
+  }
 
-    // Reset regex lastIndex to avoid issues
-    regex.lastIndex = 0
+  setupSearchOptions() {
+    const menu = document.getElementById('searchScopeMenu')
+    const searchInput = document.getElementById('searchInput')
 
-    while ((match = regex.exec(originalText)) !== null) {
-      matches.push({
-        index: match.index,
-        length: match[0].length,
-        text: match[0]
+    const saveOptions = () => {
+      this.renderSearchOptions()
+      this.onFiltersChanged()
+      chrome.storage.local.set({ searchOptions: this.searchOptions }, () => {
+        if (chrome.runtime.lastError) {
+          console.warn('Error saving search options:', chrome.runtime.lastError)
+        }
       })
     }
 
-    this.responseSearchState.matches = matches
+    document
+      .getElementById('caseSensitiveToggle')
+      .addEventListener('click', () => {
+        this.searchOptions.caseSensitive = !this.searchOptions.caseSensitive
+        saveOptions()
+      })
 
-    // Update count
-    if (searchCount) {
-      if (matches.length > 0) {
-        searchCount.textContent = `${matches.length} match${
-          matches.length !== 1 ? 'es' : ''
-        }`
-      } else {
-        searchCount.textContent = 'No matches'
+    document.getElementById('wholeWordToggle').addEventListener('click', () => {
+      this.searchOptions.wholeWord = !this.searchOptions.wholeWord
+      saveOptions()
+    })
+
+    document.getElementById('searchScopeBtn').addEventListener('click', e => {
+      if (!menu.hidden) {
+        this.closePopupMenus()
+        return
       }
-    }
+      this.renderSearchScopeMenu()
+      const rect = e.currentTarget.getBoundingClientRect()
+      this.openPopupMenu(menu, rect.left, rect.bottom)
+    })
 
-    // Highlight matches
-    this.highlightMatches(codeBlock, originalText, searchTerm)
+    menu.addEventListener('change', e => {
+      const scope = e.target.dataset.scope
+      if (!scope) return
+      this.searchOptions.scopes = SEARCH_SCOPES.map(s => s.id).filter(id =>
+        id === scope ? e.target.checked : this.searchOptions.scopes.includes(id)
+      )
+      saveOptions()
+    })
 
-    // Scroll to first match if any
-    if (matches.length > 0) {
-      this.navigateToMatch(codeBlock, 0)
-    }
+    menu.addEventListener('click', e => {
+      if (e.target.id === 'clearSearchHistoryBtn') {
+        this.searchHistory = []
+        this.saveSearchHistory()
+        this.renderSearchHistory()
+        this.closePopupMenus()
+      }
+    })
+
+    // "change" fires when the query is committed (Enter or blur)
+    searchInput.addEventListener('change', () => {
+      this.addSearchHistory(searchInput.value)
+    })
   }
 
-  escapeRegex(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  renderSearchOptions() {
+    const { caseSensitive, wholeWord, scopes } = this.searchOptions
+    const caseToggle = document.getElementById('caseSensitiveToggle')
+    const wordToggle = document.getElementById('wholeWordToggle')
+    const scopeBtn = document.getElementById('searchScopeBtn')
+
+    caseToggle.classList.toggle('active', caseSensitive)
+    caseToggle.setAttribute('aria-pressed', caseSensitive)
+    wordToggle.classList.toggle('active', wholeWord)
+    wordToggle.setAttribute('aria-pressed', wholeWord)
+    scopeBtn.classList.toggle('active', scopes.length < SEARCH_SCOPES.length)
+    scopeBtn.title = `Bare words search: ${
+      SEARCH_SCOPES.filter(scope => scopes.includes(scope.id))
+        .map(scope => scope.label)
+        .join(', ') || 'nothing'
+    }`
   }
 
-  highlightMatches(codeBlock, originalText, searchTerm) {
-    if (!searchTerm.trim()) {
-      codeBlock.innerHTML = this.escapeHtml(originalText)
+  renderSearchScopeMenu() {
+    document.getElementById('searchScopeMenu').innerHTML = `
+      ${SEARCH_SCOPES.map(
+        scope => `
+          <label>
+            <input type="checkbox" data-scope="${scope.id}" ${
+          this.searchOptions.scopes.includes(scope.id) ? 'checked' : ''
+        } />
+            ${scope.label}
+          </label>
+        `
+      ).join('')}
+      <button class="btn" id="clearSearchHistoryBtn" ${
+        this.searchHistory.length ? '' : 'disabled'
+      }>Clear search history</button>
+    `
+  }
+
+  addSearchHistory(query) {
+    const trimmed = query.trim()
+    // Only remember queries that parse
+    if (!trimmed || this.filterError) return
+
+    this.searchHistory = [
+      trimmed,
+      ...this.searchHistory.filter(entry => entry !== trimmed)
+    ].slice(0, SEARCH_HISTORY_SIZE)
+    this.saveSearchHistory()
+    this.renderSearchHistory()
+  }
+
+  saveSearchHistory() {
+    chrome.storage.local.set({ searchHistory: this.searchHistory }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error saving search history:', chrome.runtime.lastError)
+      }
+    })
+  }
+
+  // Offered by the search box as suggestions
+  renderSearchHistory() {
+    document.getElementById('searchHistoryList').innerHTML = this.searchHistory
+      .map(entry => `<option value="${this.escapeAttribute(entry)}"></option>`)
+      .join('')
+  }
+
+  render() {
+    const filtered = this.getVisibleRequests()
+    const list = document.getElementById('requestList')
+
+    if (filtered.length === 0) {
+      this.virtualList = null
+      list.innerHTML =
+        '<div class="empty-state">No requests match the current filters.</div>'
       return
     }
 
-    const regex = new RegExp(this.escapeRegex(searchTerm), 'gi')
-    let highlightedText = ''
-    let lastIndex = 0
-    let match
+    if (this.viewMode === 'timeline') {
+      // Re-rendering would drop the overview and its brush mid-drag: the
+      // release renders the captured requests
+      if (!this.timelineBrushing) this.renderTimeline(list, filtered)
+      return
+    }
 
-    regex.lastIndex = 0
+    if (this.viewMode === 'auth') {
+      this.renderAuthView(list, filtered)
+      return
+    }
 
-    while ((match = regex.exec(originalText)) !== null) {
-      // Add text before match
-      highlightedText += this.escapeHtml(
-        originalText.substring(lastIndex, match.index)
-      )
+    if (this.viewMode === 'endpoints') {
+      this.renderEndpointsView(list, filtered)
+      return
+    }
 
-      // Add highlighted match
-      const matchText = this.escapeHtml(match[0])
-      highlightedText += `<mark class="search-highlight">${matchText}</mark>`
+    const items =
+      this.viewMode === 'grouped'
+        ? this.buildGroupItems(filtered)
+        : this.buildNavigationItems(filtered)
+
+    // Keep the existing scroll container between renders so the scroll
+    // position survives incremental updates
+    let container = list.querySelector(':scope > .virtual-list')
+    if (!container) {
+      list.innerHTML = `
+        <div class="request-list-header" id="requestListHeader"></div>
+        <div class="virtual-list"></div>
+      `
+      container = list.querySelector(':scope > .virtual-list')
+      this.renderColumnHeader()
+    }
 
-      lastIndex = match.index + match[0].length
+    this.mountVirtualList(container, items, ROW_HEIGHT, item =>
+      item.kind === 'group'
+        ? this.renderGroupHeader(item)
+        : item.kind === 'navigation'
+        ? this.renderNavigationSeparator(item)
+        : this.renderRequestRow(item.req)
+    )
+  }
+
+  // Only the rows inside the viewport (plus a small overscan) are in the
+  // DOM. `container` gets the full height so the scrollbar stays accurate.
+  mountVirtualList(container, items, rowHeight, renderItem) {
+    container.style.height = `${items.length * rowHeight}px`
+    if (!container.firstElementChild) {
+      container.innerHTML = '<div class="virtual-rows"></div>'
     }
 
-    // Add remaining text
-    highlightedText += this.escapeHtml(originalText.substring(lastIndex))
+    this.virtualList = {
+      container,
+      rows: container.firstElementChild,
+      items,
+      rowHeight,
+      renderItem
+    }
+    this.renderVisibleRows(true)
+  }
 
-    codeBlock.innerHTML = highlightedText
+  renderVisibleRows(force = false) {
+    const virtualList = this.virtualList
+    if (!virtualList || !virtualList.container.isConnected) return
 
-    // Update active highlight
-    this.updateActiveHighlight(codeBlock)
+    const list = document.getElementById('requestList')
+    const { container, rows, items, rowHeight, renderItem } = virtualList
+    const top = list.scrollTop - container.offsetTop
+    const first = Math.max(0, Math.floor(top / rowHeight) - VIRTUAL_OVERSCAN)
+    const last = Math.min(
+      items.length,
+      Math.ceil((top + list.clientHeight) / rowHeight) + VIRTUAL_OVERSCAN
+    )
+
+    if (!force && virtualList.first === first && virtualList.last === last) {
+      return
+    }
+    virtualList.first = first
+    virtualList.last = last
+
+    rows.style.transform = `translateY(${first * rowHeight}px)`
+    rows.innerHTML = items.slice(first, last).map(renderItem).join('')
   }
 
-  clearHighlights(codeBlock) {
-    const originalText = this.responseSearchState.originalText
-    codeBlock.innerHTML = this.escapeHtml(originalText)
-    this.responseSearchState.matches = []
-    this.responseSearchState.currentMatchIndex = -1
+  // Batch the renders triggered by bursts of webRequest events into one
+  // per animation frame
+  scheduleRender() {
+    if (this.renderScheduled) return
+    this.renderScheduled = true
+    requestAnimationFrame(() => {
+      this.renderScheduled = false
+      this.render()
+    })
   }
 
-  navigateToNextMatch(codeBlock) {
-    if (this.responseSearchState.matches.length === 0) return
+  // A single request was added or changed: patch the filtered list on the
+  // next render instead of filtering and sorting everything again
+  markRequestChanged(requestId) {
+    this.changedRequestIds.add(requestId)
+    this.scheduleRender()
+    this.scheduleSessionSave(requestId)
+  }
 
-    this.responseSearchState.currentMatchIndex =
-      (this.responseSearchState.currentMatchIndex + 1) %
-      this.responseSearchState.matches.length
+  // Filters (or the whole request set) changed: rebuild the filtered list
+  invalidateFilteredRequests() {
+    this.filteredRequests = null
+    this.changedRequestIds.clear()
+  }
 
-    this.navigateToMatch(codeBlock, this.responseSearchState.currentMatchIndex)
+  onFiltersChanged() {
+    this.compileFilters()
+    this.invalidateFilteredRequests()
+    this.render()
   }
 
-  navigateToPreviousMatch(codeBlock) {
-    if (this.responseSearchState.matches.length === 0) return
+  getVisibleRequests() {
+    // Patching costs a scan per changed request, past a burst of changes a
+    // full filter and sort is cheaper
+    if (!this.filteredRequests || this.changedRequestIds.size > 100) {
+      this.filteredRequests = this.getFilteredRequests()
+      this.changedRequestIds.clear()
+      return this.filteredRequests
+    }
 
-    this.responseSearchState.currentMatchIndex =
-      this.responseSearchState.currentMatchIndex <= 0
-        ? this.responseSearchState.matches.length - 1
-        : this.responseSearchState.currentMatchIndex - 1
+    this.changedRequestIds.forEach(requestId => {
+      const index = this.filteredRequests.findIndex(
+        req => req.requestId === requestId
+      )
+      if (index > -1) {
+        this.filteredRequests.splice(index, 1)
+      }
 
-    this.navigateToMatch(codeBlock, this.responseSearchState.currentMatchIndex)
+      const req = this.requests.get(requestId)
+      if (req && this.matchesFilters(req)) {
+        // Binary search for the insertion point in the sorted list
+        let low = 0
+        let high = this.filteredRequests.length
+        while (low < high) {
+          const mid = (low + high) >> 1
+          if (this.compareRequests(this.filteredRequests[mid], req) <= 0) {
+            low = mid + 1
+          } else {
+            high = mid
+          }
+        }
+        this.filteredRequests.splice(low, 0, req)
+      }
+    })
+    this.changedRequestIds.clear()
+
+    return this.filteredRequests
   }
 
-  navigateToMatch(codeBlock, matchIndex) {
-    if (matchIndex < 0 || matchIndex >= this.responseSearchState.matches.length)
+  handleRowClick(requestId, e) {
+    // Ctrl/Cmd+click toggles the row in the multi-selection
+    if (e.ctrlKey || e.metaKey) {
+      this.toggleRequestSelection(requestId)
       return
+    }
+    // If clicking the same request that's already selected, close the detail panel
+    if (this.selectedRequestId === requestId) {
+      this.closeDetailPanel()
+    } else {
+      this.selectRequest(requestId)
+    }
+  }
 
-    this.responseSearchState.currentMatchIndex = matchIndex
-    this.updateActiveHighlight(codeBlock)
-
-    // Scroll to the active match
-    const highlights = codeBlock.querySelectorAll('.search-highlight')
-    if (highlights[matchIndex]) {
-      highlights[matchIndex].scrollIntoView({
-        behavior: 'smooth',
-        block: 'center',
-        inline: 'nearest'
-      })
+  toggleGroup(groupKey) {
+    if (this.collapsedGroups.has(groupKey)) {
+      this.collapsedGroups.delete(groupKey)
+    } else {
+      this.collapsedGroups.add(groupKey)
     }
+    this.render()
   }
 
-  updateActiveHighlight(codeBlock) {
-    const highlights = codeBlock.querySelectorAll('.search-highlight')
-    highlights.forEach((highlight, index) => {
-      if (index === this.responseSearchState.currentMatchIndex) {
-        highlight.classList.add('active')
-      } else {
-        highlight.classList.remove('active')
+  initColumns() {
+    chrome.storage.local.get(['requestColumns'], result => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error loading columns:', chrome.runtime.lastError)
+        return
+      }
+
+      const saved = result.requestColumns
+      if (saved && Array.isArray(saved.columns)) {
+        // Saved order first, then columns added since the settings were saved
+        const columns = []
+        saved.columns.forEach(({ id, visible, width }) => {
+          const column = REQUEST_COLUMNS.find(c => c.id === id)
+          if (column) {
+            columns.push({ ...column, visible: !!visible, width })
+          }
+        })
+        REQUEST_COLUMNS.forEach(column => {
+          if (!columns.some(c => c.id === column.id)) {
+            columns.push({ ...column })
+          }
+        })
+        if (columns.some(column => column.visible)) {
+          this.columns = columns
+        }
       }
+      if (saved && saved.sort && saved.sort.column) {
+        this.sort = saved.sort
+      }
+
+      this.onColumnsChanged(false)
     })
   }
 
-  attachCopyButtons(container) {
-    container.querySelectorAll('.code-copy-btn').forEach(btn => {
-      btn.addEventListener('click', e => {
-        const copyId = btn.getAttribute('data-copy-id')
-        const targetElement = document.getElementById(copyId)
-        if (targetElement) {
-          const textToCopy =
-            targetElement.textContent || targetElement.innerText
-          this.copyToClipboard(textToCopy, btn)
-        }
-      })
+  saveColumns() {
+    const requestColumns = {
+      columns: this.columns.map(({ id, visible, width }) => ({
+        id,
+        visible,
+        width
+      })),
+      sort: this.sort
+    }
+    chrome.storage.local.set({ requestColumns }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error saving columns:', chrome.runtime.lastError)
+      }
     })
   }
 
-  renderHeadersAndRequest(req) {
-    let html = ''
+  getVisibleColumns() {
+    return this.columns.filter(column => column.visible)
+  }
 
-    // URL section with copy button
-    const urlId = 'copy-url-' + req.requestId
-    html +=
-      '<div class="detail-section"><h3>URL</h3><div class="code-block-wrapper">' +
-      '<button class="code-copy-btn" data-copy-id="' +
-      urlId +
-      '" title="Copy URL">' +
-      this.getCopyIconSVG() +
-      '</button>' +
-      '<div class="code-block" id="' +
-      urlId +
-      '">' +
-      this.escapeHtml(req.url) +
-      '</div></div></div>'
+  // Header and rows share the same grid through a CSS variable
+  applyColumnLayout() {
+    const template = this.getVisibleColumns()
+      .map(column =>
+        column.id === 'url'
+          ? `minmax(${column.width}px, 1fr)`
+          : `${column.width}px`
+      )
+      .join(' ')
+    document.body.style.setProperty('--request-columns', template)
+  }
 
-    // Query Parameters
-    const queryParams = this.extractQueryParams(req.url)
-    if (queryParams && queryParams.length > 0) {
-      html += `
-        <div class="detail-section">
-          <h3>Query Parameters</h3>
-          <table class="headers-table">
-            <thead>
-              <tr>
-                <th>Name</th>
-                <th>Value</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${queryParams
-                .map(
-                  param => `
-                  <tr>
-                    <td>${this.escapeHtml(param.name)}</td>
-                    <td>${this.escapeHtml(param.value)}</td>
-                  </tr>
-                `
-                )
-                .join('')}
-            </tbody>
-          </table>
-        </div>
-      `
+  onColumnsChanged(save = true) {
+    this.applyColumnLayout()
+    this.renderColumnHeader()
+    this.onFiltersChanged()
+    if (save) {
+      this.saveColumns()
     }
+  }
 
-    // Request Headers
-    if (req.requestHeaders && req.requestHeaders.length > 0) {
-      html += `
-        <div class="detail-section">
-          <h3>Request Headers</h3>
-          <table class="headers-table">
-            <thead>
-              <tr>
-                <th>Name</th>
-                <th>Value</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${req.requestHeaders
-                .map(
-                  h => `
-                  <tr>
-                    <td>${this.escapeHtml(h.name)}</td>
-                    <td>${this.escapeHtml(h.value)}</td>
-                  </tr>
-                `
-                )
-                .join('')}
-            </tbody>
-          </table>
+  sortBy(columnId) {
+    if (this.sort.column === columnId) {
+      this.sort = {
+        column: columnId,
+        direction: this.sort.direction === 'asc' ? 'desc' : 'asc'
+      }
+    } else {
+      this.sort = {
+        column: columnId,
+        direction: DESCENDING_COLUMNS.includes(columnId) ? 'desc' : 'asc'
+      }
+    }
+    this.onColumnsChanged()
+  }
+
+  renderColumnHeader() {
+    const header = document.getElementById('requestListHeader')
+    if (!header) return
+
+    header.innerHTML =
+      this.getVisibleColumns()
+        .map(column => {
+          const sorted = this.sort.column === column.id
+          const arrow = sorted
+            ? this.sort.direction === 'asc'
+              ? ' ▲'
+              : ' ▼'
+            : ''
+          return `
+          <div class="column-header ${sorted ? 'sorted' : ''}" data-column="${
+            column.id
+          }" draggable="true" title="Sort by ${column.label}, drag to reorder">
+            <span class="column-label">${column.label}${arrow}</span>
+            <span class="column-resizer" data-resize-column="${
+              column.id
+            }"></span>
+          </div>
+        `
+        })
+        .join('') +
+      '<button class="column-menu-btn" id="columnMenuBtn" title="Choose columns" data-popup-toggle>⋮</button>'
+  }
+
+  setupColumns() {
+    const list = document.getElementById('requestList')
+
+    list.addEventListener('click', e => {
+      if (e.target.closest('#columnMenuBtn')) {
+        if (this.isPopupMenuOpen()) {
+          this.closePopupMenus()
+        } else {
+          const rect = e.target.getBoundingClientRect()
+          this.openColumnMenu(rect.right, rect.bottom)
+        }
+        return
+      }
+      const header = e.target.closest('.column-header')
+      if (header && !e.target.closest('.column-resizer')) {
+        this.sortBy(header.dataset.column)
+      }
+    })
+
+    list.addEventListener('contextmenu', e => {
+      if (e.target.closest('.request-list-header')) {
+        e.preventDefault()
+        this.openColumnMenu(e.clientX, e.clientY)
+      }
+    })
+
+    // Resize by dragging the right edge of a header cell
+    list.addEventListener('mousedown', e => {
+      const resizer = e.target.closest('.column-resizer')
+      if (!resizer) return
+      // Keeps the header cell from starting a drag-and-drop
+      e.preventDefault()
+
+      const column = this.columns.find(
+        c => c.id === resizer.dataset.resizeColumn
+      )
+      const startX = e.clientX
+      const startWidth = column.width
+
+      const onMouseMove = moveEvent => {
+        column.width = Math.max(
+          MIN_COLUMN_WIDTH,
+          Math.round(startWidth + moveEvent.clientX - startX)
+        )
+        this.applyColumnLayout()
+      }
+      const onMouseUp = () => {
+        document.removeEventListener('mousemove', onMouseMove)
+        document.removeEventListener('mouseup', onMouseUp)
+        this.saveColumns()
+      }
+      document.addEventListener('mousemove', onMouseMove)
+      document.addEventListener('mouseup', onMouseUp)
+    })
+
+    // Reorder by dragging a header cell onto another one
+    list.addEventListener('dragstart', e => {
+      const header = e.target.closest('.column-header')
+      if (!header) return
+      this.draggedColumn = header.dataset.column
+      e.dataTransfer.effectAllowed = 'move'
+      e.dataTransfer.setData('text/plain', this.draggedColumn)
+    })
+
+    list.addEventListener('dragover', e => {
+      if (this.draggedColumn && e.target.closest('.column-header')) {
+        e.preventDefault()
+      }
+    })
+
+    list.addEventListener('drop', e => {
+      const header = e.target.closest('.column-header')
+      if (!header || !this.draggedColumn) return
+      e.preventDefault()
+
+      const targetId = header.dataset.column
+      if (targetId !== this.draggedColumn) {
+        const from = this.columns.findIndex(c => c.id === this.draggedColumn)
+        const [moved] = this.columns.splice(from, 1)
+        // Dropping on the right half of a cell places the column after it
+        const rect = header.getBoundingClientRect()
+        const after = e.clientX > rect.left + rect.width / 2
+        const to =
+          this.columns.findIndex(c => c.id === targetId) + (after ? 1 : 0)
+        this.columns.splice(to, 0, moved)
+        this.onColumnsChanged()
+      }
+      this.draggedColumn = null
+    })
+
+    list.addEventListener('dragend', () => {
+      this.draggedColumn = null
+    })
+
+    const menu = document.getElementById('columnMenu')
+    menu.addEventListener('change', e => {
+      const column = this.columns.find(c => c.id === e.target.dataset.column)
+      if (!column) return
+      // Keep at least one column
+      if (!e.target.checked && this.getVisibleColumns().length === 1) {
+        e.target.checked = true
+        return
+      }
+      column.visible = e.target.checked
+      this.onColumnsChanged()
+    })
+
+    menu.addEventListener('click', e => {
+      if (e.target.id === 'resetColumnsBtn') {
+        this.columns = REQUEST_COLUMNS.map(column => ({ ...column }))
+        this.sort = { column: 'time', direction: 'desc' }
+        this.onColumnsChanged()
+        this.closePopupMenus()
+      }
+    })
+  }
+
+  openColumnMenu(x, y) {
+    const menu = document.getElementById('columnMenu')
+    menu.innerHTML = `
+      ${this.columns
+        .map(
+          column => `
+          <label>
+            <input type="checkbox" data-column="${column.id}" ${
+            column.visible ? 'checked' : ''
+          } />
+            ${column.label}
+          </label>
+        `
+        )
+        .join('')}
+      <button class="btn" id="resetColumnsBtn">Reset columns</button>
+    `
+    this.openPopupMenu(menu, x, y)
+  }
+
+  openPopupMenu(menu, x, y) {
+    this.closePopupMenus()
+    menu.hidden = false
+
+    // Keep the menu inside the panel
+    const left = Math.min(x, window.innerWidth - menu.offsetWidth - 4)
+    const top = Math.min(y, window.innerHeight - menu.offsetHeight - 4)
+    menu.style.left = `${Math.max(0, left)}px`
+    menu.style.top = `${Math.max(0, top)}px`
+  }
+
+  closePopupMenus() {
+    document.querySelectorAll('.popup-menu').forEach(menu => {
+      menu.hidden = true
+    })
+  }
+
+  isPopupMenuOpen() {
+    return !!document.querySelector('.popup-menu:not([hidden])')
+  }
+
+  renderRequestRow(req) {
+    const status = req.statusCode || (req.error ? 'ERR' : '—')
+    const statusClass =
+      req.error || status >= 400
+        ? 'error'
+        : status >= 200 && status < 300
+        ? 'success'
+        : ''
+    const selected = this.selectedRequestId === req.requestId ? 'selected' : ''
+    const multiSelected = this.selectedRequestIds.has(req.requestId)
+      ? 'multi-selected'
+      : ''
+
+    return `
+        <div class="request-row ${statusClass} ${selected} ${multiSelected}" data-request-id="${
+      req.requestId
+    }">
+          ${this.getVisibleColumns()
+            .map(column => this.renderCell(req, column.id, status))
+            .join('')}
+        </div>
+      `
+  }
+
+  renderCell(req, columnId, status) {
+    switch (columnId) {
+      case 'method': {
+        const method = this.escapeAttribute(req.method || 'GET')
+        return `<div class="method ${method.toLowerCase()}">${method}</div>`
+      }
+      case 'status':
+        return `<div class="status">${status}</div>`
+      case 'type':
+        return `<div class="type">${req.type || ''}</div>`
+      case 'url':
+        return `
+          <div class="url">
+            ${this.renderRowBadges(req)}${this.renderMatchBadge(
+          req
+        )}${this.renderGraphQLLabel(req)}${this.renderUrlText(
+          this.parseUrlParts(req.url)
+        )}
+          </div>
+        `
+      case 'time':
+        return `<div class="time">${this.formatTime(req.timestamp)}</div>`
+      case 'duration': {
+        const duration = this.getRequestDuration(req)
+        return `<div class="cell">${
+          duration === null ? '—' : this.formatDuration(duration)
+        }</div>`
+      }
+      case 'size': {
+        const size = this.getResponseSize(req)
+        return `<div class="cell">${
+          size === null ? '—' : this.formatBytes(size)
+        }</div>`
+      }
+      case 'mimeType':
+        return this.renderTextCell(this.getMimeType(req))
+      case 'initiator':
+        return this.renderTextCell(req.initiator || '')
+      case 'remoteIp':
+        return this.renderTextCell(req.ip || '')
+      case 'fromCache':
+        return `<div class="cell">${req.fromCache ? 'cache' : ''}</div>`
+      default:
+        return '<div></div>'
+    }
+  }
+
+  renderTextCell(text) {
+    const escaped = this.escapeAttribute(text)
+    return `<div class="cell" title="${escaped}">${escaped}</div>`
+  }
+
+  getRequestDuration(req) {
+    if (!req.completed || !req.endTimestamp || !req.timestamp) return null
+    return Math.max(0, req.endTimestamp - req.timestamp)
+  }
+
+  getResponseSize(req) {
+    if (typeof req.responseSize === 'number') return req.responseSize
+
+    const contentLength = parseInt(
+      this.getHeaderValue(req.responseHeaders, 'content-length'),
+      10
+    )
+    if (!isNaN(contentLength)) return contentLength
+
+    // Encoded once per request object: sorting by size asks again and again
+    if (typeof req.responseBody === 'string') {
+      if (!this.responseSizeCache.has(req)) {
+        this.responseSizeCache.set(
+          req,
+          new TextEncoder().encode(req.responseBody).length
+        )
+      }
+      return this.responseSizeCache.get(req)
+    }
+    return null
+  }
+
+  getMimeType(req) {
+    const contentType =
+      this.getHeaderValue(req.responseHeaders, 'content-type') ||
+      req.responseBodyMimeType ||
+      ''
+    return contentType.split(';')[0].trim()
+  }
+
+  // GraphQL operations of a request, null if it is not a GraphQL call.
+  // Updates replace the request object, which drops its cache entry.
+  getGraphQL(req) {
+    if (!this.graphqlCache.has(req)) {
+      this.graphqlCache.set(
+        req,
+        GraphQL.parseRequest(
+          req.url,
+          req.method,
+          req.requestBody ? this.formatRequestBody(req.requestBody) : '',
+          this.getHeaderValue(req.requestHeaders, 'content-type') || ''
+        )
+      )
+    }
+    return this.graphqlCache.get(req)
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  }
+
+  getGroupKey(req) {
+    const url = this.parseUrlParts(req.url)
+
+    switch (this.groupBy) {
+      case 'endpoint':
+        return url.hostname + this.normalizeEndpointPath(url.pathname)
+      case 'status':
+        if (req.error) return 'Failed'
+        if (!req.statusCode) return 'Pending'
+        return `${String(req.statusCode)[0]}xx`
+      default:
+        return url.hostname || '(unknown host)'
+    }
+  }
+
+  // Turn IDs in a path into placeholders: /users/42/orders -> /users/{id}/orders
+  normalizeEndpointPath(pathname) {
+    return pathname
+      .split('/')
+      .map(segment => {
+        if (!segment) return segment
+        if (/^\d+$/.test(segment)) return '{id}'
+        if (
+          /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+            segment
+          )
+        ) {
+          return '{uuid}'
+        }
+        if (/^\d{4}-\d{2}-\d{2}/.test(segment)) return '{date}'
+        if (/^[0-9a-f]{16,}$/i.test(segment)) return '{hash}'
+        // Long opaque tokens mixing letters and digits (base64 IDs, slugs with hashes)
+        if (
+          segment.length >= 20 &&
+          /^[A-Za-z0-9_-]+$/.test(segment) &&
+          /\d/.test(segment) &&
+          /[A-Za-z]/.test(segment)
+        ) {
+          return '{token}'
+        }
+        return segment
+      })
+      .join('/')
+  }
+
+  getGroupStats(requests) {
+    const completed = requests.filter(req => req.completed)
+    const errors = completed.filter(req => req.error || req.statusCode >= 400)
+    const durations = completed
+      .filter(req => req.endTimestamp && req.timestamp)
+      .map(req => req.endTimestamp - req.timestamp)
+
+    return {
+      count: requests.length,
+      errorRate: completed.length > 0 ? errors.length / completed.length : 0,
+      avgDuration:
+        durations.length > 0
+          ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length
+          : null
+    }
+  }
+
+  buildGroupItems(filtered) {
+    const groups = new Map()
+    filtered.forEach(req => {
+      const key = this.getGroupKey(req)
+      if (!groups.has(key)) {
+        groups.set(key, [])
+      }
+      groups.get(key).push(req)
+    })
+
+    // Status classes read best in numeric order, the others by size
+    const sorted = Array.from(groups.entries()).sort((a, b) =>
+      this.groupBy === 'status'
+        ? a[0].localeCompare(b[0])
+        : b[1].length - a[1].length
+    )
+
+    // Flatten into header + row items for the virtual list
+    const items = []
+    sorted.forEach(([key, requests]) => {
+      const groupKey = `${this.groupBy}:${key}`
+      const collapsed = this.collapsedGroups.has(groupKey)
+      items.push({
+        kind: 'group',
+        key,
+        groupKey,
+        collapsed,
+        stats: this.getGroupStats(requests)
+      })
+      if (!collapsed) {
+        requests.forEach(req => items.push({ kind: 'request', req }))
+      }
+    })
+    return items
+  }
+
+  renderGroupHeader({ key, groupKey, collapsed, stats }) {
+    return `
+        <div class="group-header ${
+          collapsed ? 'collapsed' : ''
+        }" data-group-key="${this.escapeAttribute(groupKey)}">
+          <span class="group-toggle">${collapsed ? '▸' : '▾'}</span>
+          <span class="group-name">${this.escapeHtml(key)}</span>
+          <span class="count-badge">${stats.count}</span>
+          <span class="group-stat ${
+            stats.errorRate > 0 ? 'has-errors' : ''
+          }">${Math.round(stats.errorRate * 100)}% errors</span>
+          <span class="group-stat">avg ${
+            stats.avgDuration === null
+              ? '—'
+              : this.formatDuration(stats.avgDuration)
+          }</span>
+        </div>
+      `
+  }
+
+  // List items with a separator before the requests of each navigation.
+  // Pages only line up with the rows when the list is sorted by time.
+  buildNavigationItems(filtered) {
+    if (this.navigations.length === 0 || this.sort.column !== 'time') {
+      return filtered.map(req => ({ kind: 'request', req }))
+    }
+
+    // pages[0] holds the requests made before the first navigation
+    const pages = [[], ...this.navigations.map(() => [])]
+    filtered.forEach(req => {
+      let low = 0
+      let high = this.navigations.length
+      while (low < high) {
+        const mid = (low + high) >> 1
+        if (this.navigations[mid].timestamp <= (req.timestamp || 0)) {
+          low = mid + 1
+        } else {
+          high = mid
+        }
+      }
+      pages[low].push(req)
+    })
+
+    const order = pages.map((page, index) => index)
+    if (this.sort.direction === 'desc') {
+      order.reverse()
+    }
+
+    const items = []
+    order.forEach(index => {
+      const navigation = this.navigations[index - 1]
+      const collapsed =
+        !!navigation && this.collapsedNavigations.has(navigation.id)
+      if (navigation) {
+        items.push({
+          kind: 'navigation',
+          navigation,
+          collapsed,
+          count: pages[index].length
+        })
+      }
+      if (!collapsed) {
+        pages[index].forEach(req => items.push({ kind: 'request', req }))
+      }
+    })
+    return items
+  }
+
+  renderNavigationSeparator({ navigation, collapsed, count }) {
+    return `
+        <div class="navigation-separator ${
+          collapsed ? 'collapsed' : ''
+        }" data-navigation-id="${navigation.id}" title="${this.escapeAttribute(
+      navigation.url
+    )}">
+          <span class="group-toggle">${collapsed ? '▸' : '▾'}</span>
+          <span class="navigation-label">Navigated to</span>
+          <span class="navigation-url">${this.escapeHtml(navigation.url)}</span>
+          <span class="navigation-time">${this.formatTime(
+            navigation.timestamp
+          )}</span>
+          <span class="count-badge">${count}</span>
         </div>
       `
+  }
+
+  parseUrlParts(url) {
+    try {
+      return new URL(url)
+    } catch (e) {
+      // Composed requests may carry a URL the browser could not parse
+      return { hostname: '', pathname: url, search: '' }
+    }
+  }
+
+  getRequestTimes(req, latestActivity = 0) {
+    const start = req.timestamp || req.timeStamp || 0
+    // In-flight requests are drawn up to the latest captured activity, not
+    // to now, so one request that never completes doesn't stretch the scale
+    const end = req.completed
+      ? Math.max(start, req.endTimestamp || req.timeStamp || start)
+      : Math.max(start, latestActivity)
+    return { start, end }
+  }
+
+  getAuthTokens(req) {
+    if (!this.authTokenCache.has(req)) {
+      const responseBody =
+        req.responseBodyEncoding === 'base64' ? '' : req.responseBody
+      this.authTokenCache.set(
+        req,
+        AuthTokens.scan(
+          req,
+          req.requestBody ? this.formatRequestBody(req.requestBody) : '',
+          responseBody === null || responseBody === undefined
+            ? ''
+            : String(responseBody)
+        )
+      )
+    }
+    return this.authTokenCache.get(req)
+  }
+
+  // Every token of the filtered requests, where it was issued and which
+  // requests used it
+  renderAuthView(list, filtered) {
+    this.virtualList = null
+    const entries = [...filtered]
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+      .map(req => ({ req, occurrences: this.getAuthTokens(req) }))
+    this.authTokens = AuthTokens.track(entries)
+
+    if (this.authTokens.length === 0) {
+      list.innerHTML =
+        '<div class="empty-state">No authentication tokens found in the filtered requests.</div>'
+      return
+    }
+
+    list.innerHTML = `
+      <div class="auth-view">
+        <table class="headers-table auth-table">
+          <thead>
+            <tr>
+              <th>Kind</th>
+              <th>Name</th>
+              <th>Token</th>
+              <th>Issued by</th>
+              <th>Used by</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.authTokens
+              .map((token, index) => this.renderAuthToken(token, index))
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+    `
+  }
+
+  renderAuthToken(token, index) {
+    const expanded = this.expandedAuthTokens.has(token.value)
+    const renderUse = use =>
+      `<div class="auth-use">${this.renderRequestLink(
+        use.req
+      )}<span class="request-link-meta">${this.escapeHtml(
+        use.location
+      )}</span></div>`
+    const issued = token.issuedBy
+      ? renderUse(token.issuedBy)
+      : '<span class="request-link-meta">Not seen (issued before capture or by another site)</span>'
+
+    let html = `
+      <tr class="auth-token ${
+        expanded ? 'expanded' : ''
+      }" data-token-index="${index}">
+        <td><span class="auth-kind ${token.kind}">${
+      AuthTokens.KIND_LABELS[token.kind]
+    }</span></td>
+        <td>${this.escapeHtml(token.names.join(', '))}</td>
+        <td class="auth-value" title="Click to show the full token and every use">${this.escapeHtml(
+          AuthTokens.preview(token.value)
+        )}</td>
+        <td>${issued}</td>
+        <td>${token.usedBy.length} request${
+      token.usedBy.length === 1 ? '' : 's'
+    }</td>
+      </tr>
+    `
+
+    if (expanded) {
+      const copyId = `copy-auth-token-${index}`
+      html += `
+        <tr class="auth-token-details">
+          <td colspan="5">
+            <div class="code-block-wrapper">
+              <button class="code-copy-btn" data-copy-id="${copyId}" title="Copy token">${this.getCopyIconSVG()}</button>
+              <div class="code-block" id="${copyId}">${this.escapeHtml(
+        token.value
+      )}</div>
+            </div>
+            ${
+              token.usedBy.length === 0
+                ? '<p class="request-link-meta">Not used by any captured request.</p>'
+                : token.usedBy.map(renderUse).join('')
+            }
+          </td>
+        </tr>
+      `
+    }
+    return html
+  }
+
+  toggleAuthToken(token) {
+    if (!token) return
+    if (this.expandedAuthTokens.has(token.value)) {
+      this.expandedAuthTokens.delete(token.value)
+    } else {
+      this.expandedAuthTokens.add(token.value)
+    }
+    this.render()
+  }
+
+  // What one request tells about its endpoint (see EndpointCatalog.build).
+  // Form posts have no JSON body to take a shape from.
+  getEndpointSample(req) {
+    if (!this.endpointSampleCache.has(req)) {
+      const url = this.parseUrlParts(req.url)
+      const requestBody =
+        req.requestBody && !req.requestBody.formData
+          ? this.formatRequestBody(req.requestBody)
+          : ''
+      this.endpointSampleCache.set(req, {
+        req,
+        host: url.hostname,
+        path: this.normalizeEndpointPath(url.pathname),
+        method: (req.method || 'GET').toUpperCase(),
+        status: req.statusCode || null,
+        queryParams: this.extractQueryParams(req.url),
+        requestShape: JsonShape.fromText(requestBody),
+        responseShape:
+          req.responseBodyEncoding === 'base64'
+            ? null
+            : JsonShape.fromText(req.responseBody)
+      })
+    }
+    return this.endpointSampleCache.get(req)
+  }
+
+  // Oldest first, so each endpoint lists its requests in the order they ran
+  buildEndpointCatalog(requests) {
+    return EndpointCatalog.build(
+      [...requests]
+        .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+        .map(req => this.getEndpointSample(req))
+    )
+  }
+
+  // API endpoints of the filtered requests, by path template
+  renderEndpointsView(list, filtered) {
+    this.virtualList = null
+    this.endpoints = this.buildEndpointCatalog(filtered)
+
+    if (this.endpoints.length === 0) {
+      list.innerHTML =
+        '<div class="empty-state">No API calls (XHR/fetch or JSON bodies) in the filtered requests.</div>'
+      return
+    }
+
+    list.innerHTML = `
+      <div class="endpoints-view">
+        <table class="headers-table endpoints-table">
+          <thead>
+            <tr>
+              <th>Endpoint</th>
+              <th>Methods</th>
+              <th>Status codes</th>
+              <th>Query parameters</th>
+              <th>Calls</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.endpoints
+              .map((endpoint, index) => this.renderEndpoint(endpoint, index))
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+    `
+  }
+
+  renderEndpoint(endpoint, index) {
+    const expanded = this.expandedEndpoints.has(endpoint.key)
+    const statuses = {}
+    const queryParams = new Set()
+    endpoint.methods.forEach(operation => {
+      Object.keys(operation.statuses).forEach(status => {
+        statuses[status] = (statuses[status] || 0) + operation.statuses[status]
+      })
+      operation.queryParams.forEach(param => queryParams.add(param.name))
+    })
+
+    let html = `
+      <tr class="endpoint-row ${
+        expanded ? 'expanded' : ''
+      }" data-endpoint-index="${index}" title="Click to show the body shapes and requests">
+        <td class="endpoint-path"><span class="endpoint-host">${this.escapeHtml(
+          endpoint.host
+        )}</span>${this.escapeHtml(endpoint.path)}</td>
+        <td>${endpoint.methods
+          .map(
+            operation =>
+              `${this.renderEndpointMethodName(
+                operation.method
+              )}${this.renderEndpointCount(operation.count)}`
+          )
+          .join(' ')}</td>
+        <td>${this.renderStatusCounts(statuses)}</td>
+        <td>${this.escapeHtml([...queryParams].join(', '))}</td>
+        <td>${endpoint.count}</td>
+      </tr>
+    `
+
+    if (expanded) {
+      html += `
+        <tr class="endpoint-details">
+          <td colspan="5">
+            ${endpoint.methods
+              .map((operation, methodIndex) =>
+                this.renderEndpointMethod(operation, `${index}-${methodIndex}`)
+              )
+              .join('')}
+          </td>
+        </tr>
+      `
+    }
+    return html
+  }
+
+  // Methods of imported HAR files and composed requests are free text
+  renderEndpointMethodName(method) {
+    const name = this.escapeAttribute(method)
+    return `<span class="method ${name.toLowerCase()}">${name}</span>`
+  }
+
+  renderEndpointCount(count) {
+    return count > 1 ? `<span class="endpoint-count">×${count}</span>` : ''
+  }
+
+  renderStatusCounts(statuses) {
+    return Object.keys(statuses)
+      .map(
+        status =>
+          `<span class="endpoint-status ${
+            status >= 400 ? 'error' : ''
+          }">${status}</span>${this.renderEndpointCount(statuses[status])}`
+      )
+      .join(' ')
+  }
+
+  renderEndpointMethod(operation, id) {
+    const params = operation.queryParams.map(
+      param =>
+        `${this.escapeHtml(param.name)}${
+          param.count < operation.count
+            ? ` <span class="request-link-meta">(${param.count} of ${operation.count})</span>`
+            : ''
+        }`
+    )
+    const shown = operation.requests.slice(-ENDPOINT_REQUEST_LIMIT).reverse()
+    const hidden = operation.requests.length - shown.length
+
+    let html = `
+      <div class="endpoint-method">
+        <h4 class="detail-subtitle">${this.renderEndpointMethodName(
+          operation.method
+        )} ${operation.count} call${operation.count === 1 ? '' : 's'}</h4>
+    `
+    if (params.length > 0) {
+      html += `<p class="endpoint-params">Query parameters: ${params.join(
+        ', '
+      )}</p>`
+    }
+    if (operation.requestShape) {
+      html += this.renderCopyableBlock(
+        'Request body',
+        `copy-endpoint-request-${id}`,
+        JsonShape.describe(operation.requestShape)
+      )
+    }
+    Object.keys(operation.responseShapes).forEach(status => {
+      if (!operation.responseShapes[status]) return
+      html += this.renderCopyableBlock(
+        `Response ${status}`,
+        `copy-endpoint-response-${id}-${status}`,
+        JsonShape.describe(operation.responseShapes[status])
+      )
+    })
+    html += shown.map(req => this.renderRequestLink(req)).join('')
+    if (hidden > 0) {
+      html += `<p class="request-link-meta">and ${hidden} earlier request${
+        hidden === 1 ? '' : 's'
+      }</p>`
+    }
+    return html + '</div>'
+  }
+
+  toggleEndpoint(endpoint) {
+    if (!endpoint) return
+    if (this.expandedEndpoints.has(endpoint.key)) {
+      this.expandedEndpoints.delete(endpoint.key)
+    } else {
+      this.expandedEndpoints.add(endpoint.key)
+    }
+    this.render()
+  }
+
+  renderTimeline(list, filtered) {
+    // reduce instead of spreading, which overflows the stack on large lists
+    const latestActivity = filtered.reduce(
+      (latest, req) =>
+        Math.max(
+          latest,
+          req.timestamp || 0,
+          req.endTimestamp || req.timeStamp || 0
+        ),
+      0
+    )
+    const requests = filtered
+      .map(req => ({ req, ...this.getRequestTimes(req, latestActivity) }))
+      .sort((a, b) => a.start - b.start)
+
+    // Full extent of the filtered requests, used by the overview
+    const extentStart = requests[0].start
+    const extentEnd = requests.reduce(
+      (latest, item) => Math.max(latest, item.end),
+      extentStart + 1
+    )
+
+    const range = this.timelineRange || {
+      start: extentStart,
+      end: extentEnd
+    }
+    const span = Math.max(1, range.end - range.start)
+    const toPercent = time => ((time - range.start) / span) * 100
+    const visible = requests.filter(
+      item => item.end >= range.start && item.start <= range.end
+    )
+
+    list.innerHTML = `
+      <div class="timeline">
+        <div class="timeline-controls">
+          <button class="btn" data-timeline-zoom="in" title="Zoom in">+</button>
+          <button class="btn" data-timeline-zoom="out" title="Zoom out">−</button>
+          <button class="btn" data-timeline-zoom="reset" ${
+            this.timelineRange ? '' : 'disabled'
+          }>Reset zoom</button>
+          <span class="timeline-range">
+            ${this.formatDuration(range.start - extentStart)} –
+            ${this.formatDuration(range.end - extentStart)}
+            · ${visible.length} of ${requests.length} requests
+            · drag on the overview to select a time range, Ctrl+wheel to zoom
+          </span>
+          <span class="timeline-legend">
+            ${TIMELINE_PHASES.map(
+              phase =>
+                `<span><i class="timeline-phase-${phase}"></i>${phase}</span>`
+            ).join('')}
+          </span>
+        </div>
+        ${this.renderTimelineOverview(requests, extentStart, extentEnd)}
+        <div class="timeline-axis">
+          ${this.getTimelineTicks(range)
+            .map(
+              tick => `
+              <span class="timeline-tick" style="left: ${toPercent(tick)}%">
+                ${this.formatDuration(tick - extentStart)}
+              </span>
+            `
+            )
+            .join('')}
+        </div>
+        <div class="timeline-rows"></div>
+      </div>
+    `
+
+    const renderTimelineRow = ({ req, start, end }) => {
+      const url = this.parseUrlParts(req.url)
+      const method = this.escapeAttribute(req.method || 'GET')
+      const selected =
+        this.selectedRequestId === req.requestId ? 'selected' : ''
+      const barClass = [
+        req.error || req.statusCode >= 400 ? 'error' : '',
+        req.completed ? '' : 'pending'
+      ].join(' ')
+      const tooltip = this.getTimelineTooltip(req, start, end)
+      const left = Math.max(0, toPercent(start))
+      const width = Math.max(0.2, Math.min(100, toPercent(end)) - left)
+
+      return `
+        <div class="timeline-row ${selected}" data-request-id="${
+        req.requestId
+      }">
+          <div class="timeline-label" title="${this.escapeAttribute(req.url)}">
+            <span class="method ${method.toLowerCase()}">${method}</span>
+            ${this.escapeHtml(url.hostname + url.pathname)}
+          </div>
+          <div class="timeline-track">
+            <div class="timeline-bar ${barClass}"
+              style="left: ${left}%; width: ${width}%"
+              title="${this.escapeAttribute(tooltip)}">
+              ${this.renderTimelinePhases(req, end - start)}
+            </div>
+          </div>
+        </div>
+      `
+    }
+
+    this.mountVirtualList(
+      list.querySelector('.timeline-rows'),
+      visible,
+      TIMELINE_ROW_HEIGHT,
+      renderTimelineRow
+    )
+    this.setupTimeline(list, extentStart, extentEnd)
+  }
+
+  renderTimelineOverview(requests, extentStart, extentEnd) {
+    // Number of requests in flight per bucket, drawn as a small histogram
+    const bucketCount = 200
+    const buckets = new Array(bucketCount).fill(0)
+    const bucketSpan = (extentEnd - extentStart) / bucketCount
+
+    requests.forEach(({ start, end }) => {
+      const first = Math.floor((start - extentStart) / bucketSpan)
+      const last = Math.min(
+        bucketCount - 1,
+        Math.floor((end - extentStart) / bucketSpan)
+      )
+      for (let i = first; i <= last; i++) buckets[i]++
+    })
+
+    const max = Math.max(1, ...buckets)
+    let brush = ''
+    if (this.timelineRange) {
+      const span = extentEnd - extentStart
+      const left = ((this.timelineRange.start - extentStart) / span) * 100
+      const width =
+        ((this.timelineRange.end - this.timelineRange.start) / span) * 100
+      brush = `<div class="timeline-brush" style="left: ${left}%; width: ${width}%"></div>`
+    }
+
+    return `
+      <div class="timeline-overview" id="timelineOverview">
+        ${buckets
+          .map(
+            (count, i) =>
+              `<span style="left: ${(i / bucketCount) * 100}%; height: ${
+                (count / max) * 100
+              }%"></span>`
+          )
+          .join('')}
+        ${brush}
+      </div>
+    `
+  }
+
+  renderTimelinePhases(req, total) {
+    const timings = req.harTimings
+    if (!timings || total <= 0) return ''
+
+    // HAR phase durations, -1 meaning "not applicable"
+    const phases = TIMELINE_PHASES.map(phase => ({
+      phase,
+      ms: Math.max(0, timings[phase] || 0)
+    })).filter(({ ms }) => ms > 0)
+    const sum = phases.reduce((acc, { ms }) => acc + ms, 0)
+    if (sum === 0) return ''
+
+    return phases
+      .map(
+        ({ phase, ms }) =>
+          `<span class="timeline-phase-${phase}" style="width: ${
+            (ms / sum) * 100
+          }%"></span>`
+      )
+      .join('')
+  }
+
+  getTimelineTooltip(req, start, end) {
+    let tooltip = `${req.method || 'GET'} ${req.url}\n${
+      req.statusCode || (req.error ? 'ERR' : 'pending')
+    } · ${this.formatDuration(end - start)}`
+
+    if (req.harTimings) {
+      TIMELINE_PHASES.forEach(phase => {
+        const ms = req.harTimings[phase]
+        if (ms > 0) {
+          tooltip += `\n${phase}: ${this.formatDuration(ms)}`
+        }
+      })
+    }
+
+    return tooltip
+  }
+
+  getTimelineTicks(range) {
+    // Pick a 1/2/5 x 10^n step giving roughly 8 ticks
+    const rough = (range.end - range.start) / 8
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough || 1)))
+    const step =
+      [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough) ||
+      10 * magnitude
+
+    const ticks = []
+    for (
+      let tick = Math.ceil(range.start / step) * step;
+      tick <= range.end;
+      tick += step
+    ) {
+      ticks.push(tick)
+    }
+    return ticks
+  }
+
+  setupTimeline(list, extentStart, extentEnd) {
+    list.querySelectorAll('[data-timeline-zoom]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const action = btn.getAttribute('data-timeline-zoom')
+        if (action === 'reset') {
+          this.timelineRange = null
+        } else {
+          const range = this.timelineRange || {
+            start: extentStart,
+            end: extentEnd
+          }
+          this.zoomTimeline(
+            action === 'in' ? 0.5 : 2,
+            (range.start + range.end) / 2,
+            extentStart,
+            extentEnd
+          )
+        }
+        this.render()
+      })
+    })
+
+    // Ctrl/Cmd+wheel zooms around the pointer
+    const rows = list.querySelector('.timeline-rows')
+    rows.addEventListener(
+      'wheel',
+      e => {
+        if (!e.ctrlKey && !e.metaKey) return
+        const track = rows.querySelector('.timeline-track')
+        if (!track) return
+        e.preventDefault()
+
+        const range = this.timelineRange || {
+          start: extentStart,
+          end: extentEnd
+        }
+        const rect = track.getBoundingClientRect()
+        const fraction = Math.min(
+          1,
+          Math.max(0, (e.clientX - rect.left) / (rect.width || 1))
+        )
+        this.zoomTimeline(
+          e.deltaY < 0 ? 0.8 : 1.25,
+          range.start + fraction * (range.end - range.start),
+          extentStart,
+          extentEnd
+        )
+        this.render()
+      },
+      { passive: false }
+    )
+
+    // Brushing on the overview picks the visible time range
+    const overview = list.querySelector('#timelineOverview')
+    const timeAt = clientX => {
+      const rect = overview.getBoundingClientRect()
+      const fraction = Math.min(
+        1,
+        Math.max(0, (clientX - rect.left) / (rect.width || 1))
+      )
+      return extentStart + fraction * (extentEnd - extentStart)
+    }
+
+    overview.addEventListener('mousedown', e => {
+      this.timelineBrushing = true
+      const anchor = timeAt(e.clientX)
+      let brush = overview.querySelector('.timeline-brush')
+      if (!brush) {
+        brush = document.createElement('div')
+        brush.className = 'timeline-brush'
+        overview.appendChild(brush)
+      }
+
+      const span = extentEnd - extentStart
+      const drawBrush = current => {
+        const start = Math.min(anchor, current)
+        const end = Math.max(anchor, current)
+        brush.style.left = `${((start - extentStart) / span) * 100}%`
+        brush.style.width = `${((end - start) / span) * 100}%`
+      }
+      drawBrush(anchor)
+
+      const handleMouseMove = moveEvent => {
+        // Released outside the panel, where no mouseup reaches it
+        if (moveEvent.buttons === 0) {
+          handleMouseUp(moveEvent)
+          return
+        }
+        drawBrush(timeAt(moveEvent.clientX))
+      }
+      const handleMouseUp = upEvent => {
+        document.removeEventListener('mousemove', handleMouseMove)
+        document.removeEventListener('mouseup', handleMouseUp)
+        this.timelineBrushing = false
+
+        const current = timeAt(upEvent.clientX)
+        // A plain click (no drag) resets the selection
+        this.timelineRange =
+          Math.abs(current - anchor) < span / 500
+            ? null
+            : {
+                start: Math.min(anchor, current),
+                end: Math.max(anchor, current)
+              }
+        this.render()
+      }
+
+      document.addEventListener('mousemove', handleMouseMove)
+      document.addEventListener('mouseup', handleMouseUp)
+      e.preventDefault()
+    })
+  }
+
+  zoomTimeline(factor, center, extentStart, extentEnd) {
+    const range = this.timelineRange || { start: extentStart, end: extentEnd }
+    const span = Math.max(1, (range.end - range.start) * factor)
+
+    // Zooming out past the full extent goes back to showing everything
+    if (span >= extentEnd - extentStart) {
+      this.timelineRange = null
+      return
+    }
+
+    const ratio = (center - range.start) / (range.end - range.start || 1)
+    const start = Math.max(extentStart, center - span * ratio)
+    this.timelineRange = {
+      start,
+      end: Math.min(extentEnd, start + span)
+    }
+  }
+
+  formatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)} ms`
+    if (ms < 60000) return `${(ms / 1000).toFixed(2)} s`
+    return `${Math.floor(ms / 60000)} m ${Math.round((ms % 60000) / 1000)} s`
+  }
+
+  renderRowBadges(req) {
+    let badges = ''
+
+    if (req.imported) {
+      const session = req.importKind === 'session'
+      badges += `<span class="imported-badge" title="${
+        session ? 'Saved session' : 'Imported from'
+      } ${this.escapeAttribute(req.importSource)}">${
+        session ? 'Saved' : 'HAR'
+      }</span>`
+    }
+    if (req.replayOf) {
+      badges +=
+        '<span class="replay-badge" title="Replay of another captured request">↻</span>'
+    } else if (req.tabId === -1) {
+      badges +=
+        '<span class="source-badge" title="Not from a tab: service worker, extension or browser">SW</span>'
+    } else if (
+      typeof req.tabId === 'number' &&
+      req.tabId !== this.inspectedTabId
+    ) {
+      badges += `<span class="source-badge" title="From another tab">tab ${req.tabId}</span>`
+    }
+
+    return badges
+  }
+
+  // Operation type and name in front of the URL: every GraphQL call goes to
+  // the same endpoint
+  renderGraphQLLabel(req) {
+    const operations = this.getGraphQL(req)
+    if (!operations) return ''
+
+    const labels = operations.map(
+      op =>
+        `${
+          op.type
+            ? `<span class="graphql-type ${op.type}">${op.type}</span> `
+            : ''
+        }${this.escapeHtml(op.operationName || '(anonymous)')}`
+    )
+    const title =
+      operations.length > 1
+        ? `Batch of ${operations.length} operations`
+        : 'GraphQL operation'
+    return `<span class="graphql-label" title="${title}">${labels.join(
+      ', '
+    )}</span>`
+  }
+
+  selectRequest(requestId) {
+    this.selectedRequestId = requestId
+    this.render()
+    this.showDetailPanel()
+    this.resetDetailTabs()
+    this.updateDetailTabs(this.requests.get(requestId))
+    this.renderDetailPanel('headers')
+  }
+
+  // Show the tabs that only apply to some requests
+  updateDetailTabs(req) {
+    document.querySelector('.detail-tab[data-tab="messages"]').hidden =
+      !req || req.type !== 'websocket'
+    document.querySelector('.detail-tab[data-tab="events"]').hidden =
+      !req || (!EventStream.format(req) && !req.streamEvents)
+    document.querySelector('.detail-tab[data-tab="graphql"]').hidden =
+      !req || !this.getGraphQL(req)
+  }
+
+  toggleRequestSelection(requestId) {
+    if (this.selectedRequestIds.has(requestId)) {
+      this.selectedRequestIds.delete(requestId)
+    } else {
+      this.selectedRequestIds.add(requestId)
+    }
+    this.updateSelectionButtons()
+    this.render()
+  }
+
+  updateSelectionButtons() {
+    const exportBtn = document.getElementById('exportHarBtn')
+    const compareBtn = document.getElementById('compareBtn')
+    if (!exportBtn || !compareBtn) return
+
+    compareBtn.disabled = this.selectedRequestIds.size !== 2
+
+    const count = this.selectedRequestIds.size
+    if (count > 0) {
+      exportBtn.textContent = `Export HAR (${count})`
+      exportBtn.title = 'Export the selected requests as a HAR file'
+    } else {
+      exportBtn.textContent = 'Export HAR'
+      exportBtn.title =
+        'Export the filtered requests as a HAR file (Ctrl/Cmd+click rows to pick specific ones)'
+    }
+  }
+
+  resetDetailTabs() {
+    // Reset all tabs and activate the first one (Request/Headers)
+    document.querySelectorAll('.detail-tab').forEach((tab, index) => {
+      tab.classList.remove('active')
+      if (index === 0) {
+        tab.classList.add('active')
+      }
+    })
+  }
+
+  closeDetailPanel() {
+    this.selectedRequestId = null
+    this.render()
+    this.hideDetailPanel()
+  }
+
+  showDetailPanel() {
+    document.getElementById('detailPanel').classList.add('active')
+  }
+
+  hideDetailPanel() {
+    document.getElementById('detailPanel').classList.remove('active')
+  }
+
+  getActiveDetailTab() {
+    return (
+      document.querySelector('.detail-tab.active')?.dataset.tab || 'headers'
+    )
+  }
+
+  // Re-render after the selected request changed, without resetting the
+  // active tab or wiping a composer the user is typing in
+  refreshDetailPanel() {
+    const activeTab = this.getActiveDetailTab()
+    if (activeTab !== 'composer') {
+      this.renderDetailPanel(activeTab)
+    }
+  }
+
+  renderDetailPanel(tab = this.getActiveDetailTab()) {
+    if (!this.selectedRequestId || !this.requests.has(this.selectedRequestId)) {
+      return
+    }
+
+    const req = this.requests.get(this.selectedRequestId)
+    const content = document.getElementById('detailContent')
+
+    // Reset search state when switching requests or tabs
+    this.responseSearchState.searchTerm = ''
+    this.responseSearchState.matches = []
+    this.responseSearchState.currentMatchIndex = -1
+    this.responseSearchState.originalText = ''
+
+    switch (tab) {
+      case 'headers':
+        content.innerHTML = this.renderHeadersAndRequest(req)
+        break
+      case 'response':
+        content.innerHTML = this.renderResponse(req)
+        break
+      case 'curl':
+        content.innerHTML = this.renderCurl(req)
+        break
+      case 'llm':
+        content.innerHTML = this.renderLLMDetails(req)
+        break
+      case 'composer':
+        content.innerHTML = this.renderComposer(req)
+        this.setupComposer(content, req)
+        break
+      case 'messages':
+        content.innerHTML = this.renderMessages(req)
+        this.setupMessages(content, req)
+        break
+      case 'events':
+        content.innerHTML = this.renderEvents(req)
+        this.setupEvents(content)
+        break
+      case 'graphql':
+        content.innerHTML = this.renderGraphQL(req)
+        break
+    }
+
+    // Attach copy button event listeners
+    this.attachCopyButtons(content)
+    this.attachRequestLinks(content)
+
+    // Setup response body search if response tab is active
+    if (tab === 'response') {
+      this.setupResponseSearch(content)
+      this.setupResponseTypes(content)
+    }
+    if (tab === 'headers' || tab === 'response') {
+      this.setupJwtVerify(content)
+    }
+  }
+
+  setupResponseSearch(content) {
+    const searchInput = content.querySelector('.response-search-input')
+    const codeBlock = content.querySelector(
+      '.code-block[id^="copy-response-body-"]'
+    )
+
+    if (!searchInput || !codeBlock) {
+      return // No response body to search
+    }
+
+    const requestId = searchInput.id.replace('response-search-', '')
+    const searchCount = content.querySelector(
+      `#response-search-count-${requestId}`
+    )
+
+    // Initialize search state for this request
+    this.responseSearchState.searchTerm = ''
+    this.responseSearchState.matches = []
+    this.responseSearchState.currentMatchIndex = -1
+
+    // Search input handler
+    searchInput.addEventListener('input', e => {
+      const searchTerm = e.target.value
+      this.performResponseSearch(searchTerm, codeBlock, searchCount)
+    })
+
+    // Tab navigation handler for code block
+    codeBlock.addEventListener('keydown', e => {
+      if (
+        e.key === 'Tab' &&
+        !e.shiftKey &&
+        this.responseSearchState.matches.length > 0
+      ) {
+        e.preventDefault()
+        this.navigateToNextMatch(codeBlock)
+      } else if (
+        e.key === 'Tab' &&
+        e.shiftKey &&
+        this.responseSearchState.matches.length > 0
+      ) {
+        e.preventDefault()
+        this.navigateToPreviousMatch(codeBlock)
+      }
+    })
+
+    // Focus search input with Ctrl/Cmd + F
+    codeBlock.addEventListener('keydown', e => {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+        e.preventDefault()
+        searchInput.focus()
+        searchInput.select()
+      }
+    })
+  }
+
+  performResponseSearch(searchTerm, codeBlock, searchCount) {
+    this.responseSearchState.searchTerm = searchTerm
+    this.responseSearchState.currentMatchIndex = -1
+
+    if (!searchTerm.trim()) {
+      // Clear highlights
+      this.clearHighlights(codeBlock)
+      if (searchCount) {
+        searchCount.textContent = ''
+      }
+      return
+    }
+
+    const originalText = this.responseSearchState.originalText
+    const escapedTerm = this.escapeHtml(searchTerm)
+
+    // Find all matches (case-insensitive)
+    const regex = new RegExp(this.escapeRegex(searchTerm), 'gi')
+    const matches = []
+    let match
+
+    // Reset regex lastIndex to avoid issues
+    regex.lastIndex = 0
+
+    while ((match = regex.exec(originalText)) !== null) {
+      matches.push({
+        index: match.index,
+        length: match[0].length,
+        text: match[0]
+      })
+    }
+
+    this.responseSearchState.matches = matches
+
+    // Update count
+    if (searchCount) {
+      if (matches.length > 0) {
+        searchCount.textContent = `${matches.length} match${
+          matches.length !== 1 ? 'es' : ''
+        }`
+      } else {
+        searchCount.textContent = 'No matches'
+      }
+    }
+
+    // Highlight matches
+    this.highlightMatches(codeBlock, originalText, searchTerm)
+
+    // Scroll to first match if any
+    if (matches.length > 0) {
+      this.navigateToMatch(codeBlock, 0)
+    }
+  }
+
+  escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+
+  highlightMatches(codeBlock, originalText, searchTerm) {
+    if (!searchTerm.trim()) {
+      codeBlock.innerHTML = this.escapeHtml(originalText)
+      return
+    }
+
+    const regex = new RegExp(this.escapeRegex(searchTerm), 'gi')
+    let highlightedText = ''
+    let lastIndex = 0
+    let match
+
+    regex.lastIndex = 0
+
+    while ((match = regex.exec(originalText)) !== null) {
+      // Add text before match
+      highlightedText += this.escapeHtml(
+        originalText.substring(lastIndex, match.index)
+      )
+
+      // Add highlighted match
+      const matchText = this.escapeHtml(match[0])
+      highlightedText += `<mark class="search-highlight">${matchText}</mark>`
+
+      lastIndex = match.index + match[0].length
+    }
+
+    // Add remaining text
+    highlightedText += this.escapeHtml(originalText.substring(lastIndex))
+
+    codeBlock.innerHTML = highlightedText
+
+    // Update active highlight
+    this.updateActiveHighlight(codeBlock)
+  }
+
+  clearHighlights(codeBlock) {
+    const originalText = this.responseSearchState.originalText
+    codeBlock.innerHTML = this.escapeHtml(originalText)
+    this.responseSearchState.matches = []
+    this.responseSearchState.currentMatchIndex = -1
+  }
+
+  navigateToNextMatch(codeBlock) {
+    if (this.responseSearchState.matches.length === 0) return
+
+    this.responseSearchState.currentMatchIndex =
+      (this.responseSearchState.currentMatchIndex + 1) %
+      this.responseSearchState.matches.length
+
+    this.navigateToMatch(codeBlock, this.responseSearchState.currentMatchIndex)
+  }
+
+  navigateToPreviousMatch(codeBlock) {
+    if (this.responseSearchState.matches.length === 0) return
+
+    this.responseSearchState.currentMatchIndex =
+      this.responseSearchState.currentMatchIndex <= 0
+        ? this.responseSearchState.matches.length - 1
+        : this.responseSearchState.currentMatchIndex - 1
+
+    this.navigateToMatch(codeBlock, this.responseSearchState.currentMatchIndex)
+  }
+
+  navigateToMatch(codeBlock, matchIndex) {
+    if (matchIndex < 0 || matchIndex >= this.responseSearchState.matches.length)
+      return
+
+    this.responseSearchState.currentMatchIndex = matchIndex
+    this.updateActiveHighlight(codeBlock)
+
+    // Scroll to the active match
+    const highlights = codeBlock.querySelectorAll('.search-highlight')
+    if (highlights[matchIndex]) {
+      highlights[matchIndex].scrollIntoView({
+        behavior: 'smooth',
+        block: 'center',
+        inline: 'nearest'
+      })
+    }
+  }
+
+  updateActiveHighlight(codeBlock) {
+    const highlights = codeBlock.querySelectorAll('.search-highlight')
+    highlights.forEach((highlight, index) => {
+      if (index === this.responseSearchState.currentMatchIndex) {
+        highlight.classList.add('active')
+      } else {
+        highlight.classList.remove('active')
+      }
+    })
+  }
+
+  attachCopyButtons(container) {
+    container.querySelectorAll('.code-copy-btn').forEach(btn => {
+      btn.addEventListener('click', e => {
+        const copyId = btn.getAttribute('data-copy-id')
+        const targetElement = document.getElementById(copyId)
+        if (targetElement) {
+          const textToCopy =
+            targetElement.textContent || targetElement.innerText
+          this.copyToClipboard(textToCopy, btn)
+        }
+      })
+    })
+  }
+
+  attachRequestLinks(container) {
+    container.querySelectorAll('[data-select-request]').forEach(link => {
+      link.addEventListener('click', () => {
+        const requestId = link.getAttribute('data-select-request')
+        if (this.requests.has(requestId)) {
+          this.selectRequest(requestId)
+        }
+      })
+    })
+  }
+
+  renderRequestLink(req) {
+    return (
+      '<button class="request-link" data-select-request="' +
+      this.escapeHtml(req.requestId) +
+      '">' +
+      this.escapeHtml(`${req.method || 'GET'} ${req.url}`) +
+      ' <span class="request-link-meta">' +
+      this.escapeHtml(
+        `${req.statusCode || (req.error ? 'ERR' : '—')} · ${this.formatTime(
+          req.timestamp
+        )}`
+      ) +
+      '</span></button>'
+    )
+  }
+
+  renderReplayLinks(req) {
+    let html = ''
+
+    const original = req.replayOf && this.requests.get(req.replayOf)
+    if (original) {
+      html +=
+        '<div class="detail-section"><h3>Replay Of</h3>' +
+        this.renderRequestLink(original) +
+        '</div>'
+    }
+
+    const replays = Array.from(this.requests.values()).filter(
+      other => other.replayOf === req.requestId
+    )
+    if (replays.length > 0) {
+      html +=
+        '<div class="detail-section"><h3>Replays</h3>' +
+        replays.map(replay => this.renderRequestLink(replay)).join('') +
+        '</div>'
+    }
+
+    return html
+  }
+
+  renderHeadersAndRequest(req) {
+    let html = this.renderReplayLinks(req)
+
+    // URL section with copy button
+    const urlId = 'copy-url-' + req.requestId
+    html +=
+      '<div class="detail-section"><h3>URL</h3><div class="code-block-wrapper">' +
+      '<button class="code-copy-btn" data-copy-id="' +
+      urlId +
+      '" title="Copy URL">' +
+      this.getCopyIconSVG() +
+      '</button>' +
+      '<div class="code-block" id="' +
+      urlId +
+      '">' +
+      this.escapeHtml(req.url) +
+      '</div></div></div>'
+
+    // Query Parameters
+    const queryParams = this.extractQueryParams(req.url)
+    if (queryParams && queryParams.length > 0) {
+      html += `
+        <div class="detail-section">
+          <h3>Query Parameters</h3>
+          <table class="headers-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${queryParams
+                .map(
+                  param => `
+                  <tr>
+                    <td>${this.escapeHtml(param.name)}</td>
+                    <td>${this.escapeHtml(param.value)}</td>
+                  </tr>
+                `
+                )
+                .join('')}
+            </tbody>
+          </table>
+        </div>
+      `
+    }
+
+    // Request Headers
+    if (req.requestHeaders && req.requestHeaders.length > 0) {
+      html += `
+        <div class="detail-section">
+          <h3>Request Headers</h3>
+          <table class="headers-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${req.requestHeaders
+                .map(
+                  h => `
+                  <tr>
+                    <td>${this.escapeHtml(h.name)}</td>
+                    <td>${this.escapeHtml(h.value)}</td>
+                  </tr>
+                `
+                )
+                .join('')}
+            </tbody>
+          </table>
+        </div>
+      `
+    }
+
+    html += this.renderJwtSection(req, 'used')
+    html += this.renderInitiator(req)
+
+    return html || '<div class="empty-state">No request details available</div>'
+  }
+
+  // JWTs the request sent (direction 'used') or the response returned
+  // ('issued'), found where the Auth tokens view looks for them
+  renderJwtSection(req, direction) {
+    const tokens = []
+    this.getAuthTokens(req).forEach(occurrence => {
+      if (
+        occurrence.kind === 'jwt' &&
+        occurrence.direction === direction &&
+        !tokens.some(token => token.value === occurrence.value)
+      ) {
+        tokens.push(occurrence)
+      }
+    })
+    if (tokens.length === 0) return ''
+
+    return `
+      <div class="detail-section">
+        <h3>JSON Web Tokens</h3>
+        ${tokens
+          .map((token, index) =>
+            this.renderJwt(token, `${req.requestId}-${direction}-${index}`)
+          )
+          .join('')}
+      </div>
+    `
+  }
+
+  renderJwt(token, id) {
+    const decoded = Jwt.decode(token.value)
+    if (!decoded) return ''
+
+    const validity = Jwt.validity(decoded.payload)
+    const badge = validity
+      ? `<span class="jwt-badge ${validity}">${Jwt.VALIDITY_LABELS[validity]}</span>`
+      : ''
+    const claims = Jwt.timeClaims(decoded.payload)
+    const alg = String(decoded.header.alg || 'none')
+
+    return `
+      <div class="jwt">
+        <div class="jwt-title">
+          ${this.escapeHtml(
+            token.location === `${token.name} header`
+              ? token.location
+              : `${token.location}: ${token.name}`
+          )} ${badge}
+        </div>
+        ${
+          claims.length > 0
+            ? `<table class="headers-table jwt-claims">
+                <tbody>
+                  ${claims
+                    .map(
+                      claim => `
+                        <tr>
+                          <td>${claim.name}</td>
+                          <td>${this.escapeHtml(
+                            new Date(claim.time).toLocaleString()
+                          )} <span class="request-link-meta">(${this.formatRelativeTime(
+                        claim.time
+                      )})</span></td>
+                        </tr>
+                      `
+                    )
+                    .join('')}
+                </tbody>
+              </table>`
+            : ''
+        }
+        ${this.renderCopyableBlock(
+          'Header',
+          `copy-jwt-header-${id}`,
+          JSON.stringify(decoded.header, null, 2)
+        )}
+        ${this.renderCopyableBlock(
+          'Payload',
+          `copy-jwt-payload-${id}`,
+          JSON.stringify(decoded.payload, null, 2)
+        )}
+        ${
+          Jwt.HMAC_HASHES[alg]
+            ? `<div class="jwt-verify" data-jwt="${this.escapeAttribute(
+                token.value
+              )}">
+                <input type="password" class="filter-input jwt-secret" placeholder="${alg} secret" autocomplete="off" />
+                <button class="btn jwt-verify-btn">Verify signature</button>
+                <span class="jwt-verify-result"></span>
+              </div>`
+            : `<p class="detail-note">Signed with ${this.escapeHtml(
+                alg
+              )}: checking the signature needs the issuer's key, only HMAC (HS256/384/512) secrets can be checked here.</p>`
+        }
+      </div>
+    `
+  }
+
+  // "in 5 m" / "3 h ago"
+  formatRelativeTime(time) {
+    const diff = time - Date.now()
+    const seconds = Math.abs(diff) / 1000
+    const [value, unit] =
+      seconds < 60
+        ? [seconds, 's']
+        : seconds < 3600
+        ? [seconds / 60, 'm']
+        : seconds < 86400
+        ? [seconds / 3600, 'h']
+        : [seconds / 86400, 'd']
+    const amount = `${Math.round(value)} ${unit}`
+    return diff >= 0 ? `in ${amount}` : `${amount} ago`
+  }
+
+  // The secret is only used for this check, it is not stored
+  setupJwtVerify(content) {
+    content.querySelectorAll('.jwt-verify').forEach(form => {
+      const input = form.querySelector('.jwt-secret')
+      const result = form.querySelector('.jwt-verify-result')
+      const verify = () => {
+        result.className = 'jwt-verify-result'
+        result.textContent = ''
+        if (!input.value) return
+        Jwt.verifyHmac(form.dataset.jwt, input.value)
+          .then(valid => {
+            result.classList.add(valid ? 'valid' : 'invalid')
+            result.textContent = valid
+              ? 'Signature matches'
+              : 'Signature does not match this secret'
+          })
+          .catch(err => {
+            result.classList.add('invalid')
+            result.textContent = `Could not verify: ${err.message}`
+          })
+      }
+      form.querySelector('.jwt-verify-btn').addEventListener('click', verify)
+      input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') verify()
+      })
+    })
+  }
+
+  // Initiator and call stack reported by the debugger capture
+  renderInitiator(req) {
+    const initiator = req.initiatorDetails
+    if (!initiator) return ''
+
+    const location = frame =>
+      `${frame.url || '(anonymous)'}:${frame.lineNumber + 1}:${
+        frame.columnNumber + 1
+      }`
+    const source =
+      initiator.url && initiator.lineNumber !== undefined
+        ? `${initiator.url}:${initiator.lineNumber + 1}`
+        : initiator.url || ''
+
+    return `
+      <div class="detail-section">
+        <h3>Initiator</h3>
+        <p>${this.escapeHtml(initiator.type)} ${this.escapeHtml(source)}</p>
+        ${
+          initiator.stack.length > 0
+            ? `<div class="code-block">${initiator.stack
+                .map(frame =>
+                  frame.asyncBoundary
+                    ? `--- ${this.escapeHtml(frame.asyncBoundary)} ---`
+                    : `${this.escapeHtml(
+                        frame.functionName || '(anonymous)'
+                      )} @ ${this.escapeHtml(location(frame))}`
+                )
+                .join('\n')}</div>`
+            : ''
+        }
+      </div>
+    `
+  }
+
+  renderResponse(req) {
+    let html = ''
+
+    if (req.statusCode) {
+      const statusText = `${req.statusCode} ${req.statusLine || ''}`
+      const statusId = 'copy-status-' + req.requestId
+      html +=
+        '<div class="detail-section"><h3>Status</h3><div class="code-block-wrapper">'
+      html +=
+        '<button class="code-copy-btn" data-copy-id="' +
+        statusId +
+        '" title="Copy status">' +
+        this.getCopyIconSVG() +
+        '</button>'
+      html +=
+        '<div class="code-block" id="' +
+        statusId +
+        '">' +
+        this.escapeHtml(statusText) +
+        '</div>'
+      html += '</div></div>'
+    }
+
+    // Response Headers
+    if (req.responseHeaders && req.responseHeaders.length > 0) {
+      html += `
+        <div class="detail-section">
+          <h3>Response Headers</h3>
+          <table class="headers-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${req.responseHeaders
+                .map(
+                  h => `
+                  <tr>
+                    <td>${this.escapeHtml(h.name)}</td>
+                    <td>${this.escapeHtml(h.value)}</td>
+                  </tr>
+                `
+                )
+                .join('')}
+            </tbody>
+          </table>
+        </div>
+      `
+    }
+
+    html += this.renderJwtSection(req, 'issued')
+
+    // Check if response body exists (could be empty string, null, or undefined)
+    const hasResponseBody =
+      req.hasOwnProperty('responseBody') &&
+      req.responseBody !== null &&
+      req.responseBody !== undefined
+
+    if (hasResponseBody) {
+      html += '<div class="detail-section"><h3>Response Body</h3>'
+
+      // Try to format JSON if it's JSON
+      let formattedBody = String(req.responseBody)
+      const mimeType = req.responseBodyMimeType || ''
+
+      if (
+        mimeType.includes('json') ||
+        (formattedBody.trim().startsWith('{') &&
+          formattedBody.trim().endsWith('}')) ||
+        (formattedBody.trim().startsWith('[') &&
+          formattedBody.trim().endsWith(']'))
+      ) {
+        try {
+          const parsed = JSON.parse(formattedBody)
+          formattedBody = JSON.stringify(parsed, null, 2)
+        } catch (e) {
+          // Not valid JSON, use as-is
+        }
+      }
+
+      // JSON objects and arrays also have a Types view
+      if (this.getEndpointSample(req).responseShape) {
+        html += this.renderResponseViewSwitch()
+        if (this.responseView === 'types') {
+          return html + this.renderResponseTypes(req) + '</div>'
+        }
+      }
+
+      // Store original text for search
+      this.responseSearchState.originalText = formattedBody
+
+      const responseBodyId = 'copy-response-body-' + req.requestId
+      const searchInputId = 'response-search-' + req.requestId
+
+      // Add search input
+      html += '<div class="response-search-container">'
+      html +=
+        '<input type="text" class="response-search-input" id="' +
+        searchInputId +
+        '" placeholder="Search in response body..." />'
+      html +=
+        '<span class="response-search-count" id="response-search-count-' +
+        req.requestId +
+        '"></span>'
+      html += '</div>'
+
+      html += '<div class="code-block-wrapper">'
+      html +=
+        '<button class="code-copy-btn" data-copy-id="' +
+        responseBodyId +
+        '" title="Copy response body">' +
+        this.getCopyIconSVG() +
+        '</button>'
+      html +=
+        '<div class="code-block" id="' +
+        responseBodyId +
+        '" tabindex="0">' +
+        this.escapeHtml(formattedBody) +
+        '</div>'
+      html += '</div>'
+      html += '</div>'
+    } else if (req.responseBodyUnavailable) {
+      html +=
+        '<div class="detail-section"><h3>Response Body</h3><p style="color: #999; font-style: italic;">Response body not available. This may be due to CORS restrictions, binary content, or the response being blocked.</p></div>'
+    } else if (req.responseBodyAmbiguous) {
+      html +=
+        '<div class="detail-section"><h3>Response Body</h3><p style="color: #999; font-style: italic;">Response body not attached. Several identical requests were in flight and DevTools\' response could not be matched to this one reliably.</p></div>'
+    } else {
+      html +=
+        '<div class="detail-section"><h3>Response Body</h3><p style="color: #999; font-style: italic;">Loading response body...</p><p style="color: #999; font-size: 11px; margin-top: 8px;">If this persists, the response body may not be available (CORS restrictions, binary content, etc.)</p></div>'
+    }
+
+    return html
+  }
+
+  renderResponseViewSwitch() {
+    return `
+      <div class="response-view-switch">
+        ${[
+          ['body', 'Body'],
+          ['types', 'Types']
+        ]
+          .map(
+            ([view, label]) =>
+              `<button class="btn ${
+                this.responseView === view ? 'active' : ''
+              }" data-response-view="${view}" aria-pressed="${
+                this.responseView === view
+              }">${label}</button>`
+          )
+          .join('')}
+      </div>
+    `
+  }
+
+  // TypeScript and JSON Schema of a JSON response, optionally merged with
+  // the other responses of its endpoint with the same method and status
+  renderResponseTypes(req) {
+    const sample = this.getEndpointSample(req)
+    const responses = this.getEndpointResponses(sample)
+    const merge = this.mergeEndpointTypes && responses.length > 1
+    const shape = merge
+      ? responses.reduce(
+          (merged, other) => JsonShape.merge(merged, other.responseShape),
+          null
+        )
+      : sample.responseShape
+    const name = this.getResponseTypeName(sample.path)
+
+    return `
+      <label class="response-types-merge" title="Keys missing from some responses become optional, differing types become unions">
+        <input type="checkbox" id="mergeEndpointTypes" ${
+          merge ? 'checked' : ''
+        } ${responses.length > 1 ? '' : 'disabled'} />
+        Merge the ${responses.length} captured ${this.escapeHtml(
+      `${sample.status} responses of ${sample.method} ${sample.host}${sample.path}`
+    )}
+      </label>
+      ${this.renderCopyableBlock(
+        'TypeScript',
+        `copy-response-ts-${req.requestId}`,
+        JsonShape.toTypeScript(shape, name)
+      )}
+      ${this.renderCopyableBlock(
+        'JSON Schema',
+        `copy-response-schema-${req.requestId}`,
+        JSON.stringify(JsonShape.toSchemaDocument(shape, name), null, 2)
+      )}
+    `
+  }
+
+  // Samples of the captured requests answered by the same endpoint, method
+  // and status as sample's, with a JSON body
+  getEndpointResponses(sample) {
+    const responses = []
+    this.requests.forEach(req => {
+      if (
+        (req.method || 'GET').toUpperCase() !== sample.method ||
+        (req.statusCode || null) !== sample.status
+      ) {
+        return
+      }
+      const other = this.getEndpointSample(req)
+      if (
+        other.host === sample.host &&
+        other.path === sample.path &&
+        other.responseShape
+      ) {
+        responses.push(other)
+      }
+    })
+    return responses
+  }
+
+  // Named after the last literal segment of the path, in the singular when
+  // the path ends with an ID: /users -> Users, /users/{id} -> User
+  getResponseTypeName(path) {
+    const segments = path.split('/').filter(Boolean)
+    const isPlaceholder = segment => /^\{\w+\}$/.test(segment)
+    const literal = [...segments].reverse().find(s => !isPlaceholder(s))
+    if (!literal) return 'Response'
+
+    const name = JsonShape.typeName(literal)
+    return isPlaceholder(segments[segments.length - 1])
+      ? JsonShape.singular(name)
+      : name
+  }
+
+  setupResponseTypes(content) {
+    content.querySelectorAll('[data-response-view]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.responseView = button.dataset.responseView
+        this.renderDetailPanel('response')
+      })
+    })
+    const merge = content.querySelector('#mergeEndpointTypes')
+    if (merge) {
+      merge.addEventListener('change', () => {
+        this.mergeEndpointTypes = merge.checked
+        this.renderDetailPanel('response')
+      })
+    }
+  }
+
+  getMessagesView(requestId) {
+    if (!this.messageViews.has(requestId)) {
+      this.messageViews.set(requestId, {
+        search: '',
+        direction: '',
+        // Frame objects, so expansion survives old frames being dropped
+        expanded: new WeakSet()
+      })
+    }
+    return this.messageViews.get(requestId)
+  }
+
+  getVisibleFrames(req) {
+    const view = this.getMessagesView(req.requestId)
+    const search = view.search.toLowerCase()
+    return (req.frames || []).filter(
+      frame =>
+        (!view.direction || frame.direction === view.direction) &&
+        (!search || (frame.data || '').toLowerCase().includes(search))
+    )
+  }
+
+  renderMessages(req) {
+    if (!req.frames || req.frames.length === 0) {
+      const hint =
+        req.capturedBy === 'debugger'
+          ? 'No frames yet.'
+          : 'WebSocket frames are only captured with "Capture this tab with the debugger" on (Traffic menu).'
+      return `<div class="empty-state">${hint}</div>`
+    }
+
+    const view = this.getMessagesView(req.requestId)
+    const directions = [
+      ['', 'All'],
+      ['sent', 'Sent'],
+      ['received', 'Received']
+    ]
+
+    return `
+      <div class="detail-section">
+        <div class="response-search-container">
+          <input type="text" class="response-search-input" id="wsSearchInput" placeholder="Search frames..." value="${this.escapeAttribute(
+            view.search
+          )}" />
+          <select class="filter-select" id="wsDirectionFilter">
+            ${directions
+              .map(
+                ([value, label]) =>
+                  `<option value="${value}" ${
+                    view.direction === value ? 'selected' : ''
+                  }>${label}</option>`
+              )
+              .join('')}
+          </select>
+          <span class="response-search-count" id="wsFrameCount"></span>
+          <button class="btn" id="wsExportBtn" title="Download the frames shown as JSON">Export</button>
+        </div>
+        <div class="ws-frames" id="wsFrameList"></div>
+      </div>
+    `
+  }
+
+  renderFrameList(req) {
+    const list = document.getElementById('wsFrameList')
+    const count = document.getElementById('wsFrameCount')
+    if (!list || !count) return
+
+    const view = this.getMessagesView(req.requestId)
+    const frames = this.getVisibleFrames(req)
+    const shown = frames.slice(-WEBSOCKET_RENDER_LIMIT)
+    const indexes = new Map(req.frames.map((frame, index) => [frame, index]))
+
+    count.textContent = `${frames.length} of ${req.frames.length} frames${
+      req.framesDropped ? ` (${req.framesDropped} oldest dropped)` : ''
+    }`
+
+    list.innerHTML =
+      (frames.length > shown.length
+        ? `<div class="ws-frame-note">Showing the last ${shown.length} frames</div>`
+        : '') +
+      shown
+        .map(frame => {
+          const opcode =
+            frame.direction === 'error'
+              ? 'error'
+              : WEBSOCKET_OPCODES[frame.opcode] || `opcode ${frame.opcode}`
+          const arrow = { sent: '↑', received: '↓', error: '!' }[
+            frame.direction
+          ]
+          const expanded = view.expanded.has(frame)
+          return `
+            <div class="ws-frame ws-${frame.direction} ${
+            expanded ? 'expanded' : ''
+          }" data-frame-index="${indexes.get(frame)}">
+              <span class="ws-direction" title="${
+                frame.direction
+              }">${arrow}</span>
+              <span class="ws-time">${this.formatTime(frame.time)}</span>
+              <span class="ws-opcode">${opcode}</span>
+              <span class="ws-size">${this.formatBytes(frame.size || 0)}</span>
+              <span class="ws-data">${this.escapeHtml(
+                (frame.data || '').slice(0, 300)
+              )}</span>
+            </div>
+            ${
+              expanded
+                ? `<div class="code-block ws-frame-detail">${this.escapeHtml(
+                    this.formatFrameData(frame)
+                  )}</div>`
+                : ''
+            }
+          `
+        })
+        .join('')
+  }
+
+  // JSON payloads are pretty printed when expanded
+  formatFrameData(frame) {
+    const data = frame.data || ''
+    if (frame.opcode === 1) {
+      try {
+        return JSON.stringify(JSON.parse(data), null, 2)
+      } catch (e) {
+        // Not JSON, show as-is
+      }
+    }
+    return data
+  }
+
+  setupMessages(content, req) {
+    const searchInput = content.querySelector('#wsSearchInput')
+    if (!searchInput) return
+
+    const view = this.getMessagesView(req.requestId)
+    const current = () => this.requests.get(req.requestId) || req
+
+    searchInput.addEventListener('input', e => {
+      view.search = e.target.value
+      this.renderFrameList(current())
+    })
+
+    content
+      .querySelector('#wsDirectionFilter')
+      .addEventListener('change', e => {
+        view.direction = e.target.value
+        this.renderFrameList(current())
+      })
+
+    content.querySelector('#wsExportBtn').addEventListener('click', () => {
+      this.exportFrames(current())
+    })
+
+    content.querySelector('#wsFrameList').addEventListener('click', e => {
+      const row = e.target.closest('.ws-frame')
+      if (!row) return
+      const frame = current().frames[Number(row.dataset.frameIndex)]
+      if (!frame) return
+      if (view.expanded.has(frame)) {
+        view.expanded.delete(frame)
+      } else {
+        view.expanded.add(frame)
+      }
+      this.renderFrameList(current())
+    })
+
+    this.renderFrameList(req)
+  }
+
+  // Frames and events arrive faster than they can be rendered: update the
+  // live tab once per animation frame
+  scheduleTabRender(tab) {
+    if (this.tabRenderScheduled) return
+    this.tabRenderScheduled = true
+    requestAnimationFrame(() => {
+      this.tabRenderScheduled = false
+      const req = this.requests.get(this.selectedRequestId)
+      if (!req || this.getActiveDetailTab() !== tab) return
+      if (tab === 'messages' && document.getElementById('wsFrameList')) {
+        // Keep the search box as it is
+        this.renderFrameList(req)
+      } else {
+        this.renderDetailPanel(tab)
+      }
+    })
+  }
+
+  exportFrames(req) {
+    const frames = this.getVisibleFrames(req).map(
+      ({ direction, opcode, time, size, data }) => ({
+        direction,
+        opcode,
+        time: new Date(time).toISOString(),
+        size,
+        data
+      })
+    )
+    const content = JSON.stringify({ url: req.url, frames }, null, 2)
+    const host = this.parseUrlParts(req.url).hostname || 'websocket'
+    const fileDate = new Date().toISOString().replace(/[:.]/g, '-')
+    this.downloadFile(
+      `websocket-${host}-${fileDate}.json`,
+      content,
+      'application/json'
+    )
+  }
+
+  renderEvents(req) {
+    const events = EventStream.events(req)
+    if (events.length === 0) {
+      const hint =
+        req.responseBody === undefined
+          ? 'The body of a streaming response is only available once the stream ends. Events of EventSource connections are shown as they arrive with debugger capture on.'
+          : 'No events in this response.'
+      return `<div class="empty-state">${hint}</div>`
+    }
+
+    const dropped = req.streamEventsDropped
+      ? ` (${req.streamEventsDropped} oldest dropped)`
+      : ''
+    let html = `
+      <div class="detail-section">
+        <div class="response-search-container">
+          <span class="response-search-count">${
+            events.length
+          } events${dropped}</span>
+          <button class="btn ${
+            this.reassembleEvents ? 'active' : ''
+          }" id="reassembleEventsBtn" aria-pressed="${
+      this.reassembleEvents
+    }" title="Concatenate the delta fields of the events into the final message">Reassemble</button>
+        </div>
+      </div>
+    `
+
+    if (this.reassembleEvents) {
+      const messages = EventStream.reassemble(events)
+      if (messages.length === 0) {
+        return (
+          html +
+          '<div class="empty-state">No delta fields found in the event data.</div>'
+        )
+      }
+      return (
+        html +
+        messages
+          .map((message, index) => {
+            const copyId = `copy-stream-message-${index}`
+            return `
+              <div class="detail-section">
+                <h3>${this.escapeHtml(message.path)} <span class="event-meta">${
+              message.count
+            } parts</span></h3>
+                <div class="code-block-wrapper">
+                  <button class="code-copy-btn" data-copy-id="${copyId}" title="Copy message">${this.getCopyIconSVG()}</button>
+                  <div class="code-block" id="${copyId}">${this.escapeHtml(
+              message.text
+            )}</div>
+                </div>
+              </div>
+            `
+          })
+          .join('')
+      )
+    }
+
+    const shown = events.slice(-STREAM_RENDER_LIMIT)
+    const offset = events.length - shown.length
+    if (offset > 0) {
+      html += `<div class="ws-frame-note">Showing the last ${shown.length} events</div>`
+    }
+
+    html += `
+      <table class="headers-table events-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Time</th>
+            <th>Event</th>
+            <th>ID</th>
+            <th>Data</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${shown
+            .map((event, index) => {
+              const parsed = EventStream.parseData(event.data)
+              const data =
+                parsed === undefined
+                  ? event.data
+                  : JSON.stringify(parsed, null, 2)
+              return `
+                <tr>
+                  <td>${offset + index + 1}</td>
+                  <td>${event.time ? this.formatTime(event.time) : '—'}</td>
+                  <td>${this.escapeHtml(event.event)}</td>
+                  <td>${this.escapeHtml(event.id)}</td>
+                  <td><pre class="event-data">${this.escapeHtml(
+                    data
+                  )}</pre></td>
+                </tr>
+              `
+            })
+            .join('')}
+        </tbody>
+      </table>
+    `
+    return html
+  }
+
+  setupEvents(content) {
+    const button = content.querySelector('#reassembleEventsBtn')
+    if (!button) return
+    button.addEventListener('click', () => {
+      this.reassembleEvents = !this.reassembleEvents
+      this.renderDetailPanel('events')
+    })
+  }
+
+  // Titled code block with a copy button
+  renderCopyableBlock(title, copyId, text) {
+    return `
+      <h4 class="detail-subtitle">${title}</h4>
+      <div class="code-block-wrapper">
+        <button class="code-copy-btn" data-copy-id="${copyId}" title="Copy ${title.toLowerCase()}">${this.getCopyIconSVG()}</button>
+        <div class="code-block" id="${copyId}">${this.escapeHtml(text)}</div>
+      </div>
+    `
+  }
+
+  renderGraphQL(req) {
+    const operations = this.getGraphQL(req) || []
+    const hasBody = req.responseBody !== null && req.responseBody !== undefined
+    const responses = hasBody
+      ? GraphQL.splitResponse(String(req.responseBody), operations.length)
+      : null
+    const json = value => JSON.stringify(value, null, 2)
+
+    return operations
+      .map((op, index) => {
+        const id = `${req.requestId}-${index}`
+        const heading =
+          (operations.length > 1
+            ? `Operation ${index + 1} of ${operations.length}: `
+            : '') +
+          `${op.type || 'operation'} ${op.operationName || '(anonymous)'}`
+
+        let html = `<div class="detail-section"><h3>${this.escapeHtml(
+          heading
+        )}</h3>`
+
+        html += op.query
+          ? this.renderCopyableBlock(
+              'Query',
+              `copy-graphql-query-${id}`,
+              GraphQL.format(op.query)
+            )
+          : '<p class="detail-note">Persisted query: only its hash was sent (see Extensions).</p>'
+        if (op.variables !== null) {
+          html += this.renderCopyableBlock(
+            'Variables',
+            `copy-graphql-variables-${id}`,
+            json(op.variables)
+          )
+        }
+        if (op.extensions !== null) {
+          html += this.renderCopyableBlock(
+            'Extensions',
+            `copy-graphql-extensions-${id}`,
+            json(op.extensions)
+          )
+        }
+
+        const response = responses && responses[index]
+        if (!response) {
+          html += `<p class="detail-note">${
+            hasBody
+              ? 'The response is not a GraphQL JSON result.'
+              : 'No response body.'
+          }</p>`
+        } else {
+          // Servers not following the spec may send any value as errors
+          if (Array.isArray(response.errors) && response.errors.length > 0) {
+            html += `
+              <h4 class="detail-subtitle graphql-errors-title">Errors (${
+                response.errors.length
+              })</h4>
+              <ul class="graphql-errors">
+                ${response.errors
+                  .map(
+                    error => `
+                      <li>
+                        ${this.escapeHtml(
+                          (error && error.message) || json(error)
+                        )}
+                        ${
+                          error && Array.isArray(error.path)
+                            ? `<span class="graphql-error-path">at ${this.escapeHtml(
+                                error.path.join('.')
+                              )}</span>`
+                            : ''
+                        }
+                      </li>
+                    `
+                  )
+                  .join('')}
+              </ul>
+            `
+          }
+          if (response.data !== undefined) {
+            html += this.renderCopyableBlock(
+              'Data',
+              `copy-graphql-data-${id}`,
+              json(response.data)
+            )
+          }
+        }
+
+        return html + '</div>'
+      })
+      .join('')
+  }
+
+  renderCurl(req) {
+    const curl = this.generateCurl(req)
+    const fetchCode = this.generateFetch(req)
+    const pythonCode = this.generatePython(req)
+
+    const curlId = 'copy-curl-' + req.requestId
+    const fetchId = 'copy-fetch-' + req.requestId
+    const pythonId = 'copy-python-' + req.requestId
+
+    let html = ''
+
+    // cURL Command
+    html += '<div class="detail-section">'
+    html += '<h3>cURL Command</h3>'
+    html += '<div class="code-block-wrapper">'
+    html +=
+      '<button class="code-copy-btn" data-copy-id="' +
+      curlId +
+      '" title="Copy cURL command">'
+    html += this.getCopyIconSVG()
+    html += '</button>'
+    html += '<div class="code-block" id="' + curlId + '">'
+    html += this.escapeHtml(curl)
+    html += '</div>'
+    html += '</div>'
+    html += '</div>'
+
+    // JavaScript Fetch
+    html += '<div class="detail-section">'
+    html += '<h3>JavaScript Fetch</h3>'
+    html += '<div class="code-block-wrapper">'
+    html +=
+      '<button class="code-copy-btn" data-copy-id="' +
+      fetchId +
+      '" title="Copy fetch code">'
+    html += this.getCopyIconSVG()
+    html += '</button>'
+    html += '<div class="code-block" id="' + fetchId + '">'
+    html += this.escapeHtml(fetchCode)
+    html += '</div>'
+    html += '</div>'
+    html += '</div>'
+
+    // Python Requests
+    html += '<div class="detail-section">'
+    html += '<h3>Python Requests</h3>'
+    html += '<div class="code-block-wrapper">'
+    html +=
+      '<button class="code-copy-btn" data-copy-id="' +
+      pythonId +
+      '" title="Copy Python code">'
+    html += this.getCopyIconSVG()
+    html += '</button>'
+    html += '<div class="code-block" id="' + pythonId + '">'
+    html += this.escapeHtml(pythonCode)
+    html += '</div>'
+    html += '</div>'
+    html += '</div>'
+
+    return html
+  }
+
+  renderLLMDetails(req) {
+    let llmText = ''
+
+    // ===== REQUEST INFORMATION =====
+    llmText += '===== HTTP REQUEST =====\n\n'
+
+    // Method and URL
+    const method = req.method || 'GET'
+    llmText += `Method: ${method}\n`
+    llmText += `URL: ${req.url}\n\n`
+
+    // Query Parameters
+    const queryParams = this.extractQueryParams(req.url)
+    if (queryParams && queryParams.length > 0) {
+      llmText += 'Query Parameters:\n'
+      queryParams.forEach(param => {
+        llmText += `  ${param.name}: ${param.value}\n`
+      })
+      llmText += '\n'
+    }
+
+    // Request Headers
+    if (req.requestHeaders && req.requestHeaders.length > 0) {
+      llmText += 'Request Headers:\n'
+      req.requestHeaders.forEach(header => {
+        llmText += `  ${header.name}: ${header.value}\n`
+      })
+      llmText += '\n'
+    }
+
+    // Request Body
+    if (req.requestBody) {
+      const body = this.formatRequestBody(req.requestBody)
+      if (body && body.trim()) {
+        llmText += 'Request Body:\n'
+        // Try to format JSON if it's JSON
+        try {
+          const parsed = JSON.parse(body)
+          llmText += JSON.stringify(parsed, null, 2)
+        } catch {
+          llmText += body
+        }
+        llmText += '\n\n'
+      }
+    }
+
+    // ===== RESPONSE INFORMATION =====
+    llmText += '===== HTTP RESPONSE =====\n\n'
+
+    // Response Status
+    if (req.statusCode) {
+      llmText += `Status Code: ${req.statusCode}\n`
+      if (req.statusLine) {
+        llmText += `Status Line: ${req.statusLine}\n`
+      }
+      llmText += '\n'
+    } else if (req.error) {
+      llmText += `Error: ${req.error}\n\n`
+    }
+
+    // Response Headers
+    if (req.responseHeaders && req.responseHeaders.length > 0) {
+      llmText += 'Response Headers:\n'
+      req.responseHeaders.forEach(header => {
+        llmText += `  ${header.name}: ${header.value}\n`
+      })
+      llmText += '\n'
+    }
+
+    // Response Body
+    const hasResponseBody =
+      req.hasOwnProperty('responseBody') &&
+      req.responseBody !== null &&
+      req.responseBody !== undefined
+
+    if (hasResponseBody) {
+      let formattedBody = String(req.responseBody)
+      const mimeType = req.responseBodyMimeType || ''
+
+      // Try to format JSON if it's JSON
+      if (
+        mimeType.includes('json') ||
+        (formattedBody.trim().startsWith('{') &&
+          formattedBody.trim().endsWith('}')) ||
+        (formattedBody.trim().startsWith('[') &&
+          formattedBody.trim().endsWith(']'))
+      ) {
+        try {
+          const parsed = JSON.parse(formattedBody)
+          formattedBody = JSON.stringify(parsed, null, 2)
+        } catch (e) {
+          // Not valid JSON, use as-is
+        }
+      }
+
+      llmText += 'Response Body:\n'
+      if (mimeType) {
+        llmText += `Content-Type: ${mimeType}\n\n`
+      }
+      llmText += formattedBody
+      llmText += '\n'
+    } else if (req.responseBodyUnavailable) {
+      llmText +=
+        'Response Body: Not available (CORS restrictions, binary content, or blocked)\n'
+    }
+
+    // Additional metadata
+    if (req.type) {
+      llmText += `\nRequest Type: ${req.type}\n`
+    }
+    if (req.timestamp) {
+      llmText += `Timestamp: ${new Date(req.timestamp).toISOString()}\n`
+    }
+
+    llmText += '\n===== END OF REQUEST/RESPONSE =====\n'
+
+    // Create the HTML with a single copyable block
+    const llmId = 'copy-llm-' + req.requestId
+    return (
+      '<div class="detail-section">' +
+      '<h3>LLM Formatted Request/Response Details</h3>' +
+      '<p style="color: #666; font-size: 11px; margin-bottom: 8px;">Copy the entire block below and paste into your LLM tool (ChatGPT, etc.) for analysis.</p>' +
+      '<div class="code-block-wrapper">' +
+      '<button class="code-copy-btn" data-copy-id="' +
+      llmId +
+      '" title="Copy LLM details">' +
+      this.getCopyIconSVG() +
+      '</button>' +
+      '<div class="code-block" id="' +
+      llmId +
+      '" style="max-height: 60vh; overflow-y: auto;">' +
+      this.escapeHtml(llmText) +
+      '</div>' +
+      '</div>' +
+      '</div>'
+    )
+  }
+
+  extractQueryParams(url) {
+    try {
+      const urlObj = new URL(url)
+      const params = []
+
+      // URL.searchParams returns a URLSearchParams object
+      urlObj.searchParams.forEach((value, name) => {
+        params.push({ name, value })
+      })
+
+      return params
+    } catch (e) {
+      // If URL parsing fails, try manual parsing
+      try {
+        const params = []
+        const queryString = url.split('?')[1]
+        if (!queryString) return []
+
+        // Also handle hash fragments
+        const queryPart = queryString.split('#')[0]
+        if (!queryPart) return []
+
+        const pairs = queryPart.split('&')
+        for (const pair of pairs) {
+          const [name, value] = pair
+            .split('=')
+            .map(part => decodeURIComponent(part || ''))
+          if (name) {
+            params.push({ name, value: value || '' })
+          }
+        }
+
+        return params
+      } catch (e2) {
+        return []
+      }
+    }
+  }
+
+  formatRequestBody(requestBody) {
+    if (!requestBody) return ''
+
+    if (requestBody.formData) {
+      return JSON.stringify(requestBody.formData, null, 2)
+    }
+    if (requestBody.raw) {
+      // Decode base64 or handle raw data
+      try {
+        const decoder = new TextDecoder('utf-8')
+        const data = requestBody.raw[0]?.bytes
+        if (data) {
+          const bytes = new Uint8Array(data)
+          return decoder.decode(bytes)
+        }
+      } catch (e) {
+        return JSON.stringify(requestBody.raw)
+      }
+    }
+
+    return JSON.stringify(requestBody, null, 2)
+  }
+
+  generateCurl(req) {
+    let curl = `curl '${req.url}'`
+
+    if (req.method && req.method !== 'GET') {
+      curl += ` -X ${req.method}`
+    }
+
+    if (req.requestHeaders) {
+      req.requestHeaders.forEach(header => {
+        curl += ` \\\n  -H '${header.name}: ${header.value}'`
+      })
+    }
+
+    if (req.requestBody) {
+      const body = this.formatRequestBody(req.requestBody)
+      if (body) {
+        curl += ` \\\n  -d '${body.replace(/'/g, "'\\''")}'`
+      }
+    }
+
+    return curl
+  }
+
+  generateFetch(req) {
+    const headers = {}
+    if (req.requestHeaders) {
+      req.requestHeaders.forEach(h => {
+        headers[h.name] = h.value
+      })
+    }
+
+    const options = {
+      method: req.method || 'GET',
+      headers: headers
     }
 
-    return html || '<div class="empty-state">No request details available</div>'
+    if (req.requestBody) {
+      const body = this.formatRequestBody(req.requestBody)
+      if (body) {
+        try {
+          JSON.parse(body)
+          options.body = body
+          headers['Content-Type'] =
+            headers['Content-Type'] || 'application/json'
+        } catch {
+          options.body = body
+        }
+      }
+    }
+
+    return `fetch('${req.url}', ${JSON.stringify(options, null, 2)})`
   }
 
-  renderResponse(req) {
-    let html = ''
+  generatePython(req) {
+    let python = 'import requests\n\n'
 
-    if (req.statusCode) {
-      const statusText = `${req.statusCode} ${req.statusLine || ''}`
-      const statusId = 'copy-status-' + req.requestId
-      html +=
-        '<div class="detail-section"><h3>Status</h3><div class="code-block-wrapper">'
-      html +=
-        '<button class="code-copy-btn" data-copy-id="' +
-        statusId +
-        '" title="Copy status">' +
-        this.getCopyIconSVG() +
-        '</button>'
-      html +=
-        '<div class="code-block" id="' +
-        statusId +
-        '">' +
-        this.escapeHtml(statusText) +
-        '</div>'
-      html += '</div></div>'
+    // Build headers
+    const headers = {}
+    if (req.requestHeaders) {
+      req.requestHeaders.forEach(h => {
+        headers[h.name] = h.value
+      })
     }
 
-    // Response Headers
-    if (req.responseHeaders && req.responseHeaders.length > 0) {
-      html += `
-        <div class="detail-section">
-          <h3>Response Headers</h3>
-          <table class="headers-table">
-            <thead>
-              <tr>
-                <th>Name</th>
-                <th>Value</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${req.responseHeaders
-                .map(
-                  h => `
-                  <tr>
-                    <td>${this.escapeHtml(h.name)}</td>
-                    <td>${this.escapeHtml(h.value)}</td>
-                  </tr>
-                `
-                )
-                .join('')}
-            </tbody>
-          </table>
-        </div>
-      `
+    // Build params (query parameters)
+    const queryParams = this.extractQueryParams(req.url)
+    const params = {}
+    if (queryParams && queryParams.length > 0) {
+      queryParams.forEach(param => {
+        params[param.name] = param.value
+      })
     }
 
-    // Check if response body exists (could be empty string, null, or undefined)
-    const hasResponseBody =
-      req.hasOwnProperty('responseBody') &&
-      req.responseBody !== null &&
-      req.responseBody !== undefined
+    // Get URL without query string
+    let url = req.url
+    try {
+      const urlObj = new URL(req.url)
+      url = urlObj.origin + urlObj.pathname
+    } catch (e) {
+      // If URL parsing fails, try to remove query string manually
+      const urlParts = url.split('?')
+      url = urlParts[0]
+    }
 
-    if (hasResponseBody) {
-      html += '<div class="detail-section"><h3>Response Body</h3>'
+    const method = (req.method || 'GET').toLowerCase()
 
-      // Try to format JSON if it's JSON
-      let formattedBody = String(req.responseBody)
-      const mimeType = req.responseBodyMimeType || ''
+    // Build the request
+    if (Object.keys(params).length > 0) {
+      python += `params = ${JSON.stringify(params, null, 2)}\n`
+    }
 
-      if (
-        mimeType.includes('json') ||
-        (formattedBody.trim().startsWith('{') &&
-          formattedBody.trim().endsWith('}')) ||
-        (formattedBody.trim().startsWith('[') &&
-          formattedBody.trim().endsWith(']'))
-      ) {
+    if (Object.keys(headers).length > 0) {
+      python += `headers = ${JSON.stringify(headers, null, 2)}\n`
+    }
+
+    if (req.requestBody) {
+      const body = this.formatRequestBody(req.requestBody)
+      if (body) {
         try {
-          const parsed = JSON.parse(formattedBody)
-          formattedBody = JSON.stringify(parsed, null, 2)
-        } catch (e) {
-          // Not valid JSON, use as-is
+          // Try to parse as JSON
+          const parsed = JSON.parse(body)
+          python += `json_data = ${JSON.stringify(parsed, null, 2)}\n`
+          python += `\nresponse = requests.${method}('${url}'`
+          if (Object.keys(params).length > 0) {
+            python += `, params=params`
+          }
+          if (Object.keys(headers).length > 0) {
+            python += `, headers=headers`
+          }
+          python += `, json=json_data)`
+        } catch {
+          // Not JSON, use data parameter
+          python += `data = ${JSON.stringify(body)}\n`
+          python += `\nresponse = requests.${method}('${url}'`
+          if (Object.keys(params).length > 0) {
+            python += `, params=params`
+          }
+          if (Object.keys(headers).length > 0) {
+            python += `, headers=headers`
+          }
+          python += `, data=data)`
+        }
+      } else {
+        python += `\nresponse = requests.${method}('${url}'`
+        if (Object.keys(params).length > 0) {
+          python += `, params=params`
         }
+        if (Object.keys(headers).length > 0) {
+          python += `, headers=headers`
+        }
+        python += `)`
+      }
+    } else {
+      python += `\nresponse = requests.${method}('${url}'`
+      if (Object.keys(params).length > 0) {
+        python += `, params=params`
+      }
+      if (Object.keys(headers).length > 0) {
+        python += `, headers=headers`
       }
+      python += `)`
+    }
 
-      // Store original text for search
-      this.responseSearchState.originalText = formattedBody
+    return python
+  }
 
-      const responseBodyId = 'copy-response-body-' + req.requestId
-      const searchInputId = 'response-search-' + req.requestId
+  replayRequest(req) {
+    const postData = this.buildHarPostData(req)
 
-      // Add search input
-      html += '<div class="response-search-container">'
-      html +=
-        '<input type="text" class="response-search-input" id="' +
-        searchInputId +
-        '" placeholder="Search in response body..." />'
-      html +=
-        '<span class="response-search-count" id="response-search-count-' +
-        req.requestId +
-        '"></span>'
-      html += '</div>'
+    const replayBtn = document.getElementById('replayBtn')
+    replayBtn.disabled = true
+    replayBtn.textContent = 'Replaying...'
 
-      html += '<div class="code-block-wrapper">'
-      html +=
-        '<button class="code-copy-btn" data-copy-id="' +
-        responseBodyId +
-        '" title="Copy response body">' +
-        this.getCopyIconSVG() +
-        '</button>'
-      html +=
-        '<div class="code-block" id="' +
-        responseBodyId +
-        '" tabindex="0">' +
-        this.escapeHtml(formattedBody) +
-        '</div>'
-      html += '</div>'
-      html += '</div>'
-    } else if (req.responseBodyUnavailable) {
-      html +=
-        '<div class="detail-section"><h3>Response Body</h3><p style="color: #999; font-style: italic;">Response body not available. This may be due to CORS restrictions, binary content, or the response being blocked.</p></div>'
-    } else {
-      // Try to trigger a match attempt
-      this.attemptResponseBodyMatch(req)
+    this.sendReplay(req.requestId, 'replay', {
+      method: req.method || 'GET',
+      url: req.url,
+      headers: this.getReplayHeaders(req),
+      body: postData ? postData.text : ''
+    })
+  }
 
-      html +=
-        '<div class="detail-section"><h3>Response Body</h3><p style="color: #999; font-style: italic;">Loading response body...</p><p style="color: #999; font-size: 11px; margin-top: 8px;">If this persists, the response body may not be available (CORS restrictions, binary content, etc.)</p></div>'
-    }
+  // Headers to send with the body of buildHarPostData. Form fields are
+  // re-encoded as urlencoded text, which a multipart Content-Type (and its
+  // boundary) no longer describes.
+  getReplayHeaders(req) {
+    const headers = req.requestHeaders || []
+    if (!req.requestBody || !req.requestBody.formData) return headers
+    return [
+      ...headers.filter(h => h.name.toLowerCase() !== 'content-type'),
+      { name: 'Content-Type', value: 'application/x-www-form-urlencoded' }
+    ]
+  }
 
-    return html
+  sendReplay(replayOf, source, request) {
+    this.port.postMessage({
+      type: 'REPLAY_REQUEST',
+      replayOf,
+      source,
+      request
+    })
   }
 
-  attemptResponseBodyMatch(req) {
-    // Try to find a matching response body in pending responses
-    const normalizedUrl = this.normalizeUrl(req.url)
-    const normalizedMethod = (req.method || 'GET').toUpperCase()
+  handleReplayResult(msg) {
+    if (msg.source !== 'composer') {
+      const replayBtn = document.getElementById('replayBtn')
+      replayBtn.disabled = false
+      replayBtn.textContent = 'Replay'
+    }
+
+    // If webRequest reported the replay, keep its headers and status and
+    // only add what the service worker read from the response
+    let requestId = msg.requestId
+    const existing = requestId && this.requests.get(requestId)
+    let replayed
+
+    if (existing) {
+      replayed = {
+        ...msg.data,
+        ...existing,
+        responseBody: msg.data.responseBody,
+        responseBodyMimeType: msg.data.responseBodyMimeType,
+        replayOf: msg.replayOf,
+        completed: true
+      }
+    } else {
+      this.replayCount += 1
+      requestId = requestId || `replay-${this.replayCount}`
+      replayed = {
+        ...msg.data,
+        requestId,
+        replayOf: msg.replayOf,
+        timestamp: msg.data.timeStamp,
+        completed: true
+      }
+    }
+
+    if (msg.data.errorMessage) {
+      console.warn('Replay failed:', msg.data.errorMessage)
+    }
+
+    this.requests.set(requestId, replayed)
+    this.markRequestChanged(requestId)
 
-    for (const [pendingKey, pending] of this.pendingResponseBodies.entries()) {
-      const [pendingUrl, pendingMethod] = pendingKey.split('::')
+    // The composer keeps the original selected so both can be compared
+    if (msg.source === 'composer') {
+      this.composerResults.set(msg.replayOf, requestId)
       if (
-        this.normalizeUrl(pendingUrl) === normalizedUrl &&
-        pendingMethod.toUpperCase() === normalizedMethod
+        this.selectedRequestId === msg.replayOf &&
+        this.getActiveDetailTab() === 'composer'
       ) {
-        // Found a match!
-        req.responseBody = pending.body
-        req.responseBodyMimeType = pending.mimeType
-
-        // Update display if this is the selected request
-        if (this.selectedRequestId === req.requestId) {
-          const activeTab =
-            document.querySelector('.detail-tab.active')?.dataset.tab
-          if (activeTab === 'response') {
-            this.renderDetailPanel('response')
-          }
-        }
+        this.renderDetailPanel('composer')
+      }
+      return
+    }
+
+    this.selectRequest(requestId)
+  }
+
+  getComposerDraft(req) {
+    if (!this.composerDrafts.has(req.requestId)) {
+      let baseUrl = req.url
+      try {
+        const urlObj = new URL(req.url)
+        baseUrl = urlObj.origin + urlObj.pathname + urlObj.hash
+      } catch (e) {
+        baseUrl = req.url.split('?')[0]
+      }
+
+      const postData = this.buildHarPostData(req)
+      this.composerDrafts.set(req.requestId, {
+        method: (req.method || 'GET').toUpperCase(),
+        url: baseUrl,
+        params: this.extractQueryParams(req.url).map(p => ({ ...p })),
+        headers: this.getReplayHeaders(req).map(h => ({
+          name: h.name,
+          value: h.value || ''
+        })),
+        body: postData ? postData.text : ''
+      })
+    }
+
+    return this.composerDrafts.get(req.requestId)
+  }
+
+  buildComposerUrl(draft) {
+    const query = new URLSearchParams(
+      draft.params
+        .filter(param => param.name)
+        .map(param => [param.name, param.value])
+    ).toString()
+
+    if (!query) return draft.url
+
+    // Keep any #fragment after the query string
+    const [base, ...hash] = draft.url.split('#')
+    return `${base}?${query}${hash.length > 0 ? '#' + hash.join('#') : ''}`
+  }
+
+  renderComposerRows(kind, rows) {
+    return `
+      <table class="headers-table composer-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Value</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(
+              (row, index) => `
+              <tr>
+                <td><input class="composer-input" data-field="${kind}" data-index="${index}" data-key="name" value="${this.escapeAttribute(
+                row.name
+              )}" /></td>
+                <td><input class="composer-input" data-field="${kind}" data-index="${index}" data-key="value" value="${this.escapeAttribute(
+                row.value
+              )}" /></td>
+                <td><button class="composer-remove" data-field="${kind}" data-index="${index}" title="Remove">×</button></td>
+              </tr>
+            `
+            )
+            .join('')}
+        </tbody>
+      </table>
+      <button class="btn copy-btn composer-add" data-field="${kind}">+ Add</button>
+    `
+  }
+
+  renderComposer(req) {
+    const draft = this.getComposerDraft(req)
+
+    let html = `
+      <div class="detail-section">
+        <h3>Request</h3>
+        <div class="composer-line">
+          <input class="filter-input composer-method" list="composerMethods" data-field="method" value="${this.escapeAttribute(
+            draft.method
+          )}" />
+          <datalist id="composerMethods">
+            ${['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']
+              .map(method => `<option value="${method}"></option>`)
+              .join('')}
+          </datalist>
+          <input class="filter-input composer-url" data-field="url" value="${this.escapeAttribute(
+            draft.url
+          )}" />
+          <button class="btn btn-primary" id="composerSendBtn">Send</button>
+          <button class="btn" id="composerResetBtn" title="Discard edits and start again from the captured request">Reset</button>
+        </div>
+      </div>
+      <div class="detail-section">
+        <h3>Query Parameters</h3>
+        ${this.renderComposerRows('params', draft.params)}
+      </div>
+      <div class="detail-section">
+        <h3>Headers</h3>
+        <p class="composer-hint">Forbidden headers such as Cookie, Host or Origin are set by the browser and cannot be overridden.</p>
+        ${this.renderComposerRows('headers', draft.headers)}
+      </div>
+      <div class="detail-section">
+        <h3>Body</h3>
+        <textarea class="composer-body" data-field="body" spellcheck="false">${this.escapeHtml(
+          draft.body
+        )}</textarea>
+      </div>
+    `
+
+    const resultId = this.composerResults.get(req.requestId)
+    const result = resultId && this.requests.get(resultId)
+    if (result) {
+      html += this.renderComposerResult(req, result)
+    }
+
+    return html
+  }
+
+  renderComposerResult(original, result) {
+    const describe = req => ({
+      status: req.statusCode || (req.error ? 'ERR' : '—'),
+      size:
+        req.responseBody !== undefined && req.responseBody !== null
+          ? `${new TextEncoder().encode(String(req.responseBody)).length} B`
+          : '—',
+      duration:
+        req.endTimestamp && req.timestamp
+          ? `${Math.round(req.endTimestamp - req.timestamp)} ms`
+          : '—'
+    })
+    const before = describe(original)
+    const after = describe(result)
 
-        this.pendingResponseBodies.delete(pendingKey)
-        break
-      }
+    const resultBodyId = 'copy-composer-result-' + result.requestId
+    let body = String(result.responseBody ?? '')
+    try {
+      body = JSON.stringify(JSON.parse(body), null, 2)
+    } catch (e) {
+      // Not JSON, use as-is
     }
+
+    return `
+      <div class="detail-section">
+        <h3>Last Result</h3>
+        ${this.renderRequestLink(result)}
+        <table class="headers-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Original</th>
+              <th>Resent</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${['status', 'size', 'duration']
+              .map(
+                key => `
+                <tr class="${
+                  before[key] !== after[key] ? 'composer-changed' : ''
+                }">
+                  <td>${key[0].toUpperCase() + key.slice(1)}</td>
+                  <td>${this.escapeHtml(String(before[key]))}</td>
+                  <td>${this.escapeHtml(String(after[key]))}</td>
+                </tr>
+              `
+              )
+              .join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="detail-section">
+        <h3>Resent Response Body</h3>
+        <div class="code-block-wrapper">
+          <button class="code-copy-btn" data-copy-id="${resultBodyId}" title="Copy response body">${this.getCopyIconSVG()}</button>
+          <div class="code-block" id="${resultBodyId}">${this.escapeHtml(
+      body
+    )}</div>
+        </div>
+      </div>
+    `
   }
 
-  renderCurl(req) {
-    const curl = this.generateCurl(req)
-    const fetchCode = this.generateFetch(req)
-    const pythonCode = this.generatePython(req)
+  setupComposer(content, req) {
+    const draft = this.getComposerDraft(req)
+
+    // Keep the draft in sync so re-renders and tab switches keep the edits.
+    // Listeners go on the rendered elements: #detailContent outlives them.
+    content
+      .querySelectorAll('input[data-field], textarea[data-field]')
+      .forEach(input => {
+        input.addEventListener('input', () => {
+          const field = input.dataset.field
+          if (field === 'params' || field === 'headers') {
+            const row = draft[field][Number(input.dataset.index)]
+            if (row) {
+              row[input.dataset.key] = input.value
+            }
+          } else {
+            draft[field] = input.value
+          }
+        })
+      })
 
-    const curlId = 'copy-curl-' + req.requestId
-    const fetchId = 'copy-fetch-' + req.requestId
-    const pythonId = 'copy-python-' + req.requestId
+    content.querySelectorAll('.composer-add').forEach(button => {
+      button.addEventListener('click', () => {
+        draft[button.dataset.field].push({ name: '', value: '' })
+        this.renderDetailPanel('composer')
+      })
+    })
+    content.querySelectorAll('.composer-remove').forEach(button => {
+      button.addEventListener('click', () => {
+        draft[button.dataset.field].splice(Number(button.dataset.index), 1)
+        this.renderDetailPanel('composer')
+      })
+    })
 
-    let html = ''
+    content.querySelector('#composerSendBtn').addEventListener('click', e => {
+      e.target.disabled = true
+      e.target.textContent = 'Sending...'
+      this.sendReplay(req.requestId, 'composer', {
+        method: draft.method.trim().toUpperCase() || 'GET',
+        url: this.buildComposerUrl(draft),
+        headers: draft.headers.filter(header => header.name),
+        body: draft.body
+      })
+    })
 
-    // cURL Command
-    html += '<div class="detail-section">'
-    html += '<h3>cURL Command</h3>'
-    html += '<div class="code-block-wrapper">'
-    html +=
-      '<button class="code-copy-btn" data-copy-id="' +
-      curlId +
-      '" title="Copy cURL command">'
-    html += this.getCopyIconSVG()
-    html += '</button>'
-    html += '<div class="code-block" id="' + curlId + '">'
-    html += this.escapeHtml(curl)
-    html += '</div>'
-    html += '</div>'
-    html += '</div>'
+    content.querySelector('#composerResetBtn').addEventListener('click', () => {
+      this.composerDrafts.delete(req.requestId)
+      this.renderDetailPanel('composer')
+    })
+  }
 
-    // JavaScript Fetch
-    html += '<div class="detail-section">'
-    html += '<h3>JavaScript Fetch</h3>'
-    html += '<div class="code-block-wrapper">'
-    html +=
-      '<button class="code-copy-btn" data-copy-id="' +
-      fetchId +
-      '" title="Copy fetch code">'
-    html += this.getCopyIconSVG()
-    html += '</button>'
-    html += '<div class="code-block" id="' + fetchId + '">'
-    html += this.escapeHtml(fetchCode)
-    html += '</div>'
-    html += '</div>'
-    html += '</div>'
+  openModal(title, html) {
+    document.getElementById('modalTitle').textContent = title
+    const body = document.getElementById('modalBody')
+    body.innerHTML = html
+    this.attachCopyButtons(body)
+    document.getElementById('modalOverlay').classList.add('active')
+    return body
+  }
 
-    // Python Requests
-    html += '<div class="detail-section">'
-    html += '<h3>Python Requests</h3>'
-    html += '<div class="code-block-wrapper">'
-    html +=
-      '<button class="code-copy-btn" data-copy-id="' +
-      pythonId +
-      '" title="Copy Python code">'
-    html += this.getCopyIconSVG()
-    html += '</button>'
-    html += '<div class="code-block" id="' + pythonId + '">'
-    html += this.escapeHtml(pythonCode)
-    html += '</div>'
-    html += '</div>'
-    html += '</div>'
+  closeModal() {
+    document.getElementById('modalOverlay').classList.remove('active')
+    document.getElementById('modalBody').innerHTML = ''
+  }
 
-    return html
+  isModalOpen() {
+    return document.getElementById('modalOverlay').classList.contains('active')
   }
 
-  renderLLMDetails(req) {
-    let llmText = ''
+  openComparison() {
+    const [a, b] = Array.from(this.selectedRequestIds)
+      .map(requestId => this.requests.get(requestId))
+      .filter(Boolean)
+      .sort((x, y) => (x.timestamp || 0) - (y.timestamp || 0))
+    if (!a || !b) return
 
-    // ===== REQUEST INFORMATION =====
-    llmText += '===== HTTP REQUEST =====\n\n'
+    const body = this.openModal('Compare Requests', this.renderComparison(a, b))
 
-    // Method and URL
-    const method = req.method || 'GET'
-    llmText += `Method: ${method}\n`
-    llmText += `URL: ${req.url}\n\n`
+    body.querySelector('#compareOnlyChanges').addEventListener('change', e => {
+      this.compareOnlyChanges = e.target.checked
+      this.openComparison()
+    })
+    this.attachRequestLinks(body)
+    body.querySelectorAll('[data-select-request]').forEach(link => {
+      link.addEventListener('click', () => this.closeModal())
+    })
+  }
 
-    // Query Parameters
-    const queryParams = this.extractQueryParams(req.url)
-    if (queryParams && queryParams.length > 0) {
-      llmText += 'Query Parameters:\n'
-      queryParams.forEach(param => {
-        llmText += `  ${param.name}: ${param.value}\n`
-      })
-      llmText += '\n'
+  renderComparison(a, b) {
+    const urlParts = req => {
+      const url = this.parseUrlParts(req.url)
+      return [
+        { name: 'Method', value: (req.method || 'GET').toUpperCase() },
+        { name: 'Protocol', value: url.protocol || '' },
+        { name: 'Host', value: url.host || url.hostname },
+        { name: 'Path', value: url.pathname },
+        {
+          name: 'Status',
+          value: String(req.statusCode || (req.error ? 'ERR' : '—'))
+        },
+        { name: 'Type', value: req.type || '' }
+      ]
     }
-
-    // Request Headers
-    if (req.requestHeaders && req.requestHeaders.length > 0) {
-      llmText += 'Request Headers:\n'
-      req.requestHeaders.forEach(header => {
-        llmText += `  ${header.name}: ${header.value}\n`
-      })
-      llmText += '\n'
+    const requestBody = req => {
+      const postData = this.buildHarPostData(req)
+      return postData ? postData.text : undefined
     }
+    const responseBody = req =>
+      req.responseBody !== undefined && req.responseBody !== null
+        ? String(req.responseBody)
+        : undefined
 
-    // Request Body
-    if (req.requestBody) {
-      const body = this.formatRequestBody(req.requestBody)
-      if (body && body.trim()) {
-        llmText += 'Request Body:\n'
-        // Try to format JSON if it's JSON
-        try {
-          const parsed = JSON.parse(body)
-          llmText += JSON.stringify(parsed, null, 2)
-        } catch {
-          llmText += body
-        }
-        llmText += '\n\n'
-      }
+    return `
+      <div class="compare-header">
+        <div><span class="diff-label">A</span>${this.renderRequestLink(a)}</div>
+        <div><span class="diff-label">B</span>${this.renderRequestLink(b)}</div>
+        <label class="compare-toggle">
+          <input type="checkbox" id="compareOnlyChanges" ${
+            this.compareOnlyChanges ? 'checked' : ''
+          } />
+          Only differences
+        </label>
+      </div>
+      <div class="detail-section">
+        <h3>URL</h3>
+        ${this.renderDiffTable(Diff.keyValues(urlParts(a), urlParts(b)))}
+      </div>
+      <div class="detail-section">
+        <h3>Query Parameters</h3>
+        ${this.renderDiffTable(
+          Diff.keyValues(
+            this.extractQueryParams(a.url),
+            this.extractQueryParams(b.url)
+          )
+        )}
+      </div>
+      <div class="detail-section">
+        <h3>Request Headers</h3>
+        ${this.renderDiffTable(
+          Diff.keyValues(a.requestHeaders, b.requestHeaders, true)
+        )}
+      </div>
+      <div class="detail-section">
+        <h3>Response Headers</h3>
+        ${this.renderDiffTable(
+          Diff.keyValues(a.responseHeaders, b.responseHeaders, true)
+        )}
+      </div>
+      <div class="detail-section">
+        <h3>Request Body</h3>
+        ${this.renderBodyDiff(requestBody(a), requestBody(b))}
+      </div>
+      <div class="detail-section">
+        <h3>Response Body</h3>
+        ${this.renderBodyDiff(responseBody(a), responseBody(b))}
+      </div>
+    `
+  }
+
+  renderDiffTable(rows, nameLabel = 'Name') {
+    const visible = this.compareOnlyChanges
+      ? rows.filter(row => row.status !== 'same')
+      : rows
+
+    if (visible.length === 0) {
+      return `<p class="diff-empty">${
+        rows.length === 0 ? 'None on either side' : 'No differences'
+      }</p>`
     }
 
-    // ===== RESPONSE INFORMATION =====
-    llmText += '===== HTTP RESPONSE =====\n\n'
+    return `
+      <table class="headers-table diff-table">
+        <thead>
+          <tr>
+            <th>${nameLabel}</th>
+            <th>A</th>
+            <th>B</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${visible
+            .map(
+              row => `
+              <tr class="diff-${row.status}">
+                <td>${this.escapeHtml(row.name)}</td>
+                <td>${row.a === undefined ? '' : this.escapeHtml(row.a)}</td>
+                <td>${row.b === undefined ? '' : this.escapeHtml(row.b)}</td>
+              </tr>
+            `
+            )
+            .join('')}
+        </tbody>
+      </table>
+    `
+  }
 
-    // Response Status
-    if (req.statusCode) {
-      llmText += `Status Code: ${req.statusCode}\n`
-      if (req.statusLine) {
-        llmText += `Status Line: ${req.statusLine}\n`
-      }
-      llmText += '\n'
-    } else if (req.error) {
-      llmText += `Error: ${req.error}\n\n`
+  renderBodyDiff(textA, textB) {
+    if (textA === undefined && textB === undefined) {
+      return '<p class="diff-empty">No body on either side</p>'
     }
 
-    // Response Headers
-    if (req.responseHeaders && req.responseHeaders.length > 0) {
-      llmText += 'Response Headers:\n'
-      req.responseHeaders.forEach(header => {
-        llmText += `  ${header.name}: ${header.value}\n`
-      })
-      llmText += '\n'
+    // Structural diff when both sides are JSON
+    try {
+      const rows = Diff.json(JSON.parse(textA), JSON.parse(textB)).map(row => ({
+        name: row.path,
+        status: row.status,
+        a: row.status === 'added' ? undefined : JSON.stringify(row.a),
+        b: row.status === 'removed' ? undefined : JSON.stringify(row.b)
+      }))
+      return this.renderDiffTable(rows, 'Path')
+    } catch (e) {
+      // At least one side is not JSON, fall back to a line diff
     }
 
-    // Response Body
-    const hasResponseBody =
-      req.hasOwnProperty('responseBody') &&
-      req.responseBody !== null &&
-      req.responseBody !== undefined
+    const ops = Diff.lines(textA || '', textB || '')
+    if (ops.every(op => op.type === 'same')) {
+      return '<p class="diff-empty">No differences</p>'
+    }
 
-    if (hasResponseBody) {
-      let formattedBody = String(req.responseBody)
-      const mimeType = req.responseBodyMimeType || ''
+    // Pair each run of removed lines with the added lines that follow it
+    const rows = []
+    let skipped = 0
+    const flushSkipped = () => {
+      if (skipped > 0) {
+        rows.push(
+          `<tr class="diff-skipped"><td colspan="2">⋯ ${skipped} unchanged line${
+            skipped !== 1 ? 's' : ''
+          }</td></tr>`
+        )
+        skipped = 0
+      }
+    }
 
-      // Try to format JSON if it's JSON
-      if (
-        mimeType.includes('json') ||
-        (formattedBody.trim().startsWith('{') &&
-          formattedBody.trim().endsWith('}')) ||
-        (formattedBody.trim().startsWith('[') &&
-          formattedBody.trim().endsWith(']'))
-      ) {
-        try {
-          const parsed = JSON.parse(formattedBody)
-          formattedBody = JSON.stringify(parsed, null, 2)
-        } catch (e) {
-          // Not valid JSON, use as-is
+    for (let i = 0; i < ops.length; ) {
+      if (ops[i].type === 'same') {
+        if (this.compareOnlyChanges) {
+          skipped++
+        } else {
+          rows.push(
+            `<tr><td>${this.escapeHtml(ops[i].a)}</td><td>${this.escapeHtml(
+              ops[i].b
+            )}</td></tr>`
+          )
         }
+        i++
+        continue
       }
 
-      llmText += 'Response Body:\n'
-      if (mimeType) {
-        llmText += `Content-Type: ${mimeType}\n\n`
+      flushSkipped()
+      const removed = []
+      const added = []
+      while (i < ops.length && ops[i].type === 'removed')
+        removed.push(ops[i++].a)
+      while (i < ops.length && ops[i].type === 'added') added.push(ops[i++].b)
+      for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+        rows.push(
+          '<tr>' +
+            (j < removed.length
+              ? `<td class="diff-removed">${this.escapeHtml(removed[j])}</td>`
+              : '<td></td>') +
+            (j < added.length
+              ? `<td class="diff-added">${this.escapeHtml(added[j])}</td>`
+              : '<td></td>') +
+            '</tr>'
+        )
       }
-      llmText += formattedBody
-      llmText += '\n'
-    } else if (req.responseBodyUnavailable) {
-      llmText +=
-        'Response Body: Not available (CORS restrictions, binary content, or blocked)\n'
     }
+    flushSkipped()
 
-    // Additional metadata
-    if (req.type) {
-      llmText += `\nRequest Type: ${req.type}\n`
-    }
-    if (req.timestamp) {
-      llmText += `Timestamp: ${new Date(req.timestamp).toISOString()}\n`
-    }
+    return `
+      <table class="diff-lines">
+        <thead>
+          <tr>
+            <th>A</th>
+            <th>B</th>
+          </tr>
+        </thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    `
+  }
 
-    llmText += '\n===== END OF REQUEST/RESPONSE =====\n'
+  exportHar() {
+    // An explicit Ctrl/Cmd+click selection wins over the current filters
+    const requests =
+      this.selectedRequestIds.size > 0
+        ? Array.from(this.selectedRequestIds)
+            .map(requestId => this.requests.get(requestId))
+            .filter(Boolean)
+        : this.getFilteredRequests()
+
+    if (requests.length === 0) {
+      alert('No requests to export.')
+      return
+    }
 
-    // Create the HTML with a single copyable block
-    const llmId = 'copy-llm-' + req.requestId
-    return (
-      '<div class="detail-section">' +
-      '<h3>LLM Formatted Request/Response Details</h3>' +
-      '<p style="color: #666; font-size: 11px; margin-bottom: 8px;">Copy the entire block below and paste into your LLM tool (ChatGPT, etc.) for analysis.</p>' +
-      '<div class="code-block-wrapper">' +
-      '<button class="code-copy-btn" data-copy-id="' +
-      llmId +
-      '" title="Copy LLM details">' +
-      this.getCopyIconSVG() +
-      '</button>' +
-      '<div class="code-block" id="' +
-      llmId +
-      '" style="max-height: 60vh; overflow-y: auto;">' +
-      this.escapeHtml(llmText) +
-      '</div>' +
-      '</div>' +
-      '</div>'
+    const har = this.buildHar(requests)
+    const fileDate = new Date().toISOString().replace(/[:.]/g, '-')
+    this.downloadFile(
+      `network-analyzer-${fileDate}.har`,
+      JSON.stringify(har, null, 2),
+      'application/json'
     )
   }
 
-  extractQueryParams(url) {
-    try {
-      const urlObj = new URL(url)
-      const params = []
+  // OpenAPI document of the filtered requests' endpoints, as YAML or JSON
+  exportOpenApi(format) {
+    const requests = this.getFilteredRequests()
+    const endpoints = this.buildEndpointCatalog(requests)
+    if (endpoints.length === 0) {
+      alert('No API calls (XHR/fetch or JSON bodies) to export.')
+      return
+    }
 
-      // URL.searchParams returns a URLSearchParams object
-      urlObj.searchParams.forEach((value, name) => {
-        params.push({ name, value })
-      })
+    const manifest = chrome.runtime.getManifest()
+    const spec = OpenApi.build(endpoints, {
+      title: `${endpoints[0].host} API`,
+      version: '1.0.0',
+      description: `Inferred by ${manifest.name} ${manifest.version} from ${requests.length} captured requests.`
+    })
+    const fileDate = new Date().toISOString().replace(/[:.]/g, '-')
+    if (format === 'json') {
+      this.downloadFile(
+        `network-analyzer-openapi-${fileDate}.json`,
+        JSON.stringify(spec, null, 2),
+        'application/json'
+      )
+    } else {
+      this.downloadFile(
+        `network-analyzer-openapi-${fileDate}.yaml`,
+        OpenApi.toYaml(spec) + '\n',
+        'application/yaml'
+      )
+    }
+  }
 
-      return params
-    } catch (e) {
-      // If URL parsing fails, try manual parsing
-      try {
-        const params = []
-        const queryString = url.split('?')[1]
-        if (!queryString) return []
+  buildHar(requests) {
+    const manifest = chrome.runtime.getManifest()
+
+    return {
+      log: {
+        version: '1.2',
+        creator: {
+          name: manifest.name,
+          version: manifest.version
+        },
+        entries: requests
+          .slice()
+          .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+          .map(req => this.buildHarEntry(req))
+      }
+    }
+  }
 
-        // Also handle hash fragments
-        const queryPart = queryString.split('#')[0]
-        if (!queryPart) return []
+  buildHarEntry(req) {
+    const requestHeaders = this.toHarHeaders(req.requestHeaders)
+    const responseHeaders = this.toHarHeaders(req.responseHeaders)
+    const { httpVersion, statusText } = this.parseStatusLine(req.statusLine)
+    const startTime = req.timestamp || req.timeStamp || Date.now()
+    const totalTime =
+      req.endTimestamp && req.endTimestamp >= startTime
+        ? req.endTimestamp - startTime
+        : 0
+
+    const entry = {
+      startedDateTime: new Date(startTime).toISOString(),
+      time: totalTime,
+      request: {
+        method: (req.method || 'GET').toUpperCase(),
+        url: req.url,
+        httpVersion,
+        cookies: this.parseCookieHeader(
+          this.getHeaderValue(req.requestHeaders, 'cookie')
+        ),
+        headers: requestHeaders,
+        queryString: this.extractQueryParams(req.url),
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: req.statusCode || 0,
+        statusText,
+        httpVersion,
+        cookies: (req.responseHeaders || [])
+          .filter(h => h.name.toLowerCase() === 'set-cookie')
+          .map(h => this.parseSetCookie(h.value)),
+        headers: responseHeaders,
+        content: this.buildHarContent(req),
+        redirectURL:
+          req.redirectUrl ||
+          this.getHeaderValue(req.responseHeaders, 'location') ||
+          '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: {
+        blocked: -1,
+        dns: -1,
+        connect: -1,
+        send: 0,
+        wait: totalTime,
+        receive: 0,
+        ssl: -1,
+        // Real phase timings when chrome.devtools.network reported them
+        ...req.harTimings
+      },
+      _resourceType: HAR_RESOURCE_TYPES[req.type] || req.type || 'other'
+    }
 
-        const pairs = queryPart.split('&')
-        for (const pair of pairs) {
-          const [name, value] = pair
-            .split('=')
-            .map(part => decodeURIComponent(part || ''))
-          if (name) {
-            params.push({ name, value: value || '' })
-          }
-        }
+    const postData = this.buildHarPostData(req)
+    if (postData) {
+      entry.request.postData = postData
+      entry.request.bodySize = new TextEncoder().encode(postData.text).length
+    }
+
+    if (req.ip) {
+      entry.serverIPAddress = req.ip
+    }
 
-        return params
-      } catch (e2) {
-        return []
-      }
+    // Chrome's HAR extension for WebSocket frames (times in seconds)
+    if (req.frames) {
+      entry._webSocketMessages = req.frames
+        .filter(frame => frame.direction !== 'error')
+        .map(frame => ({
+          type: frame.direction === 'sent' ? 'send' : 'receive',
+          time: frame.time / 1000,
+          opcode: frame.opcode,
+          data: frame.data
+        }))
     }
+
+    return entry
   }
 
-  formatRequestBody(requestBody) {
-    if (!requestBody) return ''
+  buildHarPostData(req) {
+    if (!req.requestBody) return null
 
-    if (requestBody.formData) {
-      return JSON.stringify(requestBody.formData, null, 2)
+    const mimeType =
+      this.getHeaderValue(req.requestHeaders, 'content-type') || ''
+
+    // webRequest parses form submissions into { name: [values] }
+    if (req.requestBody.formData) {
+      const params = []
+      Object.entries(req.requestBody.formData).forEach(([name, values]) => {
+        ;[].concat(values).forEach(value => {
+          params.push({ name, value: String(value) })
+        })
+      })
+      return {
+        mimeType: mimeType || 'application/x-www-form-urlencoded',
+        params,
+        text: new URLSearchParams(
+          params.map(param => [param.name, param.value])
+        ).toString()
+      }
     }
-    if (requestBody.raw) {
-      // Decode base64 or handle raw data
-      try {
-        const decoder = new TextDecoder('utf-8')
-        const data = requestBody.raw[0]?.bytes
-        if (data) {
-          const bytes = new Uint8Array(data)
-          return decoder.decode(bytes)
-        }
-      } catch (e) {
-        return JSON.stringify(requestBody.raw)
+
+    const text = this.formatRequestBody(req.requestBody)
+    if (!text) return null
+
+    return { mimeType, text }
+  }
+
+  buildHarContent(req) {
+    const mimeType =
+      req.responseBodyMimeType ||
+      this.getHeaderValue(req.responseHeaders, 'content-type') ||
+      ''
+    const content = { size: 0, mimeType }
+
+    if (req.responseBody !== null && req.responseBody !== undefined) {
+      const text = String(req.responseBody)
+      content.text = text
+      if (req.responseBodyEncoding === 'base64') {
+        content.encoding = 'base64'
+        content.size = Math.floor((text.length * 3) / 4)
+      } else {
+        content.size = new TextEncoder().encode(text).length
       }
+    } else if (req.responseBodyUnavailable) {
+      content.comment = 'Response body was not available'
     }
 
-    return JSON.stringify(requestBody, null, 2)
+    return content
   }
 
-  generateCurl(req) {
-    let curl = `curl '${req.url}'`
+  toHarHeaders(headers) {
+    return (headers || []).map(h => ({
+      name: h.name,
+      value: h.value !== undefined ? String(h.value) : ''
+    }))
+  }
 
-    if (req.method && req.method !== 'GET') {
-      curl += ` -X ${req.method}`
+  getHeaderValue(headers, name) {
+    const header = (headers || []).find(
+      h => h.name.toLowerCase() === name.toLowerCase()
+    )
+    return header ? header.value : undefined
+  }
+
+  parseStatusLine(statusLine) {
+    // e.g. "HTTP/1.1 404 Not Found"
+    const match = /^(\S+)\s+\d{3}\s*(.*)$/.exec(statusLine || '')
+    if (!match) {
+      return { httpVersion: 'HTTP/1.1', statusText: '' }
     }
+    return { httpVersion: match[1], statusText: match[2] }
+  }
 
-    if (req.requestHeaders) {
-      req.requestHeaders.forEach(header => {
-        curl += ` \\\n  -H '${header.name}: ${header.value}'`
+  parseCookieHeader(cookieHeader) {
+    if (!cookieHeader) return []
+
+    return cookieHeader
+      .split(';')
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const index = pair.indexOf('=')
+        return index === -1
+          ? { name: pair, value: '' }
+          : { name: pair.slice(0, index), value: pair.slice(index + 1) }
       })
-    }
+  }
 
-    if (req.requestBody) {
-      const body = this.formatRequestBody(req.requestBody)
-      if (body) {
-        curl += ` \\\n  -d '${body.replace(/'/g, "'\\''")}'`
-      }
+  parseSetCookie(setCookie) {
+    const [pair, ...attributes] = String(setCookie).split(';')
+    const index = pair.indexOf('=')
+    const cookie = {
+      name: (index === -1 ? pair : pair.slice(0, index)).trim(),
+      value: index === -1 ? '' : pair.slice(index + 1).trim()
     }
 
-    return curl
+    attributes.forEach(attribute => {
+      const [rawKey, ...rest] = attribute.split('=')
+      const key = rawKey.trim().toLowerCase()
+      const value = rest.join('=').trim()
+
+      if (key === 'path') cookie.path = value
+      else if (key === 'domain') cookie.domain = value
+      else if (key === 'expires') {
+        const expires = new Date(value)
+        if (!isNaN(expires)) cookie.expires = expires.toISOString()
+      } else if (key === 'httponly') cookie.httpOnly = true
+      else if (key === 'secure') cookie.secure = true
+      else if (key === 'samesite') cookie.sameSite = value
+    })
+
+    return cookie
   }
 
-  generateFetch(req) {
-    const headers = {}
-    if (req.requestHeaders) {
-      req.requestHeaders.forEach(h => {
-        headers[h.name] = h.value
+  importHar(file) {
+    file
+      .text()
+      .then(text => {
+        const har = JSON.parse(text)
+        if (!har || !har.log || !Array.isArray(har.log.entries)) {
+          throw new Error('Missing log.entries, this is not a HAR file')
+        }
+
+        this.importCount += 1
+        const importId = this.importCount
+
+        // Imported sessions are browsed offline: stop live capture so the
+        // two are never interleaved in the list
+        if (this.isCapturing) {
+          this.isCapturing = false
+          this.updateCaptureButton()
+        }
+
+        har.log.entries.forEach((entry, index) => {
+          const request = this.requestFromHarEntry(
+            entry,
+            `har-${importId}-${index}`,
+            file.name
+          )
+          if (request) {
+            this.requests.set(request.requestId, request)
+          }
+        })
+
+        this.invalidateFilteredRequests()
+        this.render()
+      })
+      .catch(err => {
+        console.error('Failed to import HAR:', err)
+        alert(`Could not import ${file.name}: ${err.message}`)
       })
+  }
+
+  requestFromHarEntry(entry, requestId, source) {
+    const harRequest = entry.request || {}
+    const harResponse = entry.response || {}
+    if (!harRequest.url) return null
+    // The method ends up in the markup: HTTP methods are tokens of letters
+    if (harRequest.method && !/^[A-Za-z]+$/.test(harRequest.method)) {
+      return null
+    }
+    // So do the status and frame opcodes, which must be numbers
+    const status = Number(harResponse.status || 0)
+    if (!Number.isInteger(status)) return null
+    const messages = Array.isArray(entry._webSocketMessages)
+      ? entry._webSocketMessages
+      : null
+    if (
+      messages &&
+      !messages.every(message => Number.isInteger(Number(message.opcode)))
+    ) {
+      return null
     }
 
-    const options = {
-      method: req.method || 'GET',
-      headers: headers
+    const startTime = Date.parse(entry.startedDateTime) || 0
+    const endTime = startTime + Math.max(0, entry.time || 0)
+    const content = harResponse.content || {}
+
+    // Same shape the webRequest listeners produce, plus the import markers
+    const request = {
+      requestId,
+      url: harRequest.url,
+      method: (harRequest.method || 'GET').toUpperCase(),
+      type: Object.hasOwn(WEBREQUEST_RESOURCE_TYPES, entry._resourceType)
+        ? WEBREQUEST_RESOURCE_TYPES[entry._resourceType]
+        : 'other',
+      timeStamp: endTime,
+      timestamp: startTime,
+      endTimestamp: endTime,
+      requestHeaders: this.toHarHeaders(harRequest.headers),
+      responseHeaders: this.toHarHeaders(harResponse.headers),
+      completed: true,
+      imported: true,
+      importSource: source
     }
 
-    if (req.requestBody) {
-      const body = this.formatRequestBody(req.requestBody)
-      if (body) {
-        try {
-          JSON.parse(body)
-          options.body = body
-          headers['Content-Type'] =
-            headers['Content-Type'] || 'application/json'
-        } catch {
-          options.body = body
-        }
-      }
+    if (status) {
+      request.statusCode = status
+      request.statusLine = [
+        harResponse.httpVersion || 'HTTP/1.1',
+        status,
+        harResponse.statusText || ''
+      ]
+        .join(' ')
+        .trim()
+    } else {
+      // DevTools records failed requests with status 0
+      request.error = true
     }
 
-    return `fetch('${req.url}', ${JSON.stringify(options, null, 2)})`
-  }
+    const requestBody = this.requestBodyFromHarPostData(harRequest.postData)
+    if (requestBody) {
+      request.requestBody = requestBody
+    }
 
-  generatePython(req) {
-    let python = 'import requests\n\n'
+    if (typeof content.text === 'string') {
+      request.responseBody = content.text
+      request.responseBodyMimeType = content.mimeType || ''
+      request.responseBodyEncoding = content.encoding || ''
+    } else {
+      request.responseBodyUnavailable = true
+    }
 
-    // Build headers
-    const headers = {}
-    if (req.requestHeaders) {
-      req.requestHeaders.forEach(h => {
-        headers[h.name] = h.value
-      })
+    if (entry.serverIPAddress) {
+      request.ip = entry.serverIPAddress
     }
 
-    // Build params (query parameters)
-    const queryParams = this.extractQueryParams(req.url)
-    const params = {}
-    if (queryParams && queryParams.length > 0) {
-      queryParams.forEach(param => {
-        params[param.name] = param.value
+    if (messages) {
+      request.frames = messages.map(message => {
+        const frame = {
+          direction: message.type === 'send' ? 'sent' : 'received',
+          opcode: Number(message.opcode),
+          data: message.data || '',
+          time: (message.time || 0) * 1000
+        }
+        return { ...frame, size: this.getFrameSize(frame) }
       })
     }
 
-    // Get URL without query string
-    let url = req.url
-    try {
-      const urlObj = new URL(req.url)
-      url = urlObj.origin + urlObj.pathname
-    } catch (e) {
-      // If URL parsing fails, try to remove query string manually
-      const urlParts = url.split('?')
-      url = urlParts[0]
+    if (harResponse._transferSize >= 0 || content.size >= 0) {
+      request.responseSize =
+        harResponse._transferSize >= 0
+          ? harResponse._transferSize
+          : content.size
     }
 
-    const method = (req.method || 'GET').toLowerCase()
-
-    // Build the request
-    if (Object.keys(params).length > 0) {
-      python += `params = ${JSON.stringify(params, null, 2)}\n`
+    if (entry.timings) {
+      request.harTimings = entry.timings
     }
 
-    if (Object.keys(headers).length > 0) {
-      python += `headers = ${JSON.stringify(headers, null, 2)}\n`
+    return request
+  }
+
+  requestBodyFromHarPostData(postData) {
+    if (!postData) return null
+
+    const mimeType = postData.mimeType || ''
+    if (
+      Array.isArray(postData.params) &&
+      postData.params.length > 0 &&
+      /form-urlencoded|multipart\/form-data/i.test(mimeType)
+    ) {
+      const formData = {}
+      postData.params.forEach(param => {
+        formData[param.name] = formData[param.name] || []
+        formData[param.name].push(param.value || '')
+      })
+      return { formData }
     }
 
-    if (req.requestBody) {
-      const body = this.formatRequestBody(req.requestBody)
-      if (body) {
-        try {
-          // Try to parse as JSON
-          const parsed = JSON.parse(body)
-          python += `json_data = ${JSON.stringify(parsed, null, 2)}\n`
-          python += `\nresponse = requests.${method}('${url}'`
-          if (Object.keys(params).length > 0) {
-            python += `, params=params`
-          }
-          if (Object.keys(headers).length > 0) {
-            python += `, headers=headers`
-          }
-          python += `, json=json_data)`
-        } catch {
-          // Not JSON, use data parameter
-          python += `data = ${JSON.stringify(body)}\n`
-          python += `\nresponse = requests.${method}('${url}'`
-          if (Object.keys(params).length > 0) {
-            python += `, params=params`
-          }
-          if (Object.keys(headers).length > 0) {
-            python += `, headers=headers`
-          }
-          python += `, data=data)`
-        }
-      } else {
-        python += `\nresponse = requests.${method}('${url}'`
-        if (Object.keys(params).length > 0) {
-          python += `, params=params`
-        }
-        if (Object.keys(headers).length > 0) {
-          python += `, headers=headers`
-        }
-        python += `)`
-      }
-    } else {
-      python += `\nresponse = requests.${method}('${url}'`
-      if (Object.keys(params).length > 0) {
-        python += `, params=params`
+    if (typeof postData.text === 'string' && postData.text) {
+      return {
+        raw: [{ bytes: new TextEncoder().encode(postData.text).buffer }]
       }
-      if (Object.keys(headers).length > 0) {
-        python += `, headers=headers`
-      }
-      python += `)`
     }
 
-    return python
+    return null
+  }
+
+  downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    setTimeout(() => URL.revokeObjectURL(url), 0)
   }
 
   formatTime(timestamp) {
@@ -1717,20 +6168,233 @@ class NetworkAnalyzer {
     return div.innerHTML
   }
 
+  // escapeHtml leaves quotes alone, which would end a quoted attribute value
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+  }
+
   clearFilters() {
+    this.setFilters({})
+  }
+
+  // Apply a full set of filters (missing keys are cleared) and sync the toolbar
+  setFilters(filters) {
     this.filters = {
-      search: '',
-      method: '',
-      status: '',
-      type: '',
-      url: ''
+      search: filters.search || '',
+      method: filters.method || '',
+      status: filters.status || '',
+      type: filters.type || '',
+      url: filters.url || ''
     }
-    document.getElementById('searchInput').value = ''
-    document.getElementById('methodFilter').value = ''
-    document.getElementById('statusFilter').value = ''
-    document.getElementById('typeFilter').value = ''
-    document.getElementById('urlFilter').value = ''
-    this.render()
+    document.getElementById('searchInput').value = this.filters.search
+    document.getElementById('methodFilter').value = this.filters.method
+    document.getElementById('statusFilter').value = this.filters.status
+    document.getElementById('typeFilter').value = this.filters.type
+    document.getElementById('urlFilter').value = this.filters.url
+    this.onFiltersChanged()
+  }
+
+  initFilterPresets() {
+    chrome.storage.local.get(['filterPresets'], result => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error loading filter presets:', chrome.runtime.lastError)
+        return
+      }
+      this.filterPresets = Array.isArray(result.filterPresets)
+        ? result.filterPresets
+        : []
+    })
+  }
+
+  saveFilterPresets() {
+    chrome.storage.local.set({ filterPresets: this.filterPresets }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error saving filter presets:', chrome.runtime.lastError)
+      }
+    })
+  }
+
+  // Add presets, replacing the ones with the same name
+  addFilterPresets(presets) {
+    presets.forEach(preset => {
+      const index = this.filterPresets.findIndex(p => p.name === preset.name)
+      if (index > -1) {
+        this.filterPresets[index] = preset
+      } else {
+        this.filterPresets.push(preset)
+      }
+    })
+    this.filterPresets.sort((a, b) => a.name.localeCompare(b.name))
+    this.saveFilterPresets()
+  }
+
+  setupFilterPresets() {
+    const menu = document.getElementById('presetMenu')
+    const importInput = document.getElementById('importPresetsInput')
+
+    document.getElementById('presetsBtn').addEventListener('click', e => {
+      if (!menu.hidden) {
+        this.closePopupMenus()
+        return
+      }
+      const rect = e.currentTarget.getBoundingClientRect()
+      this.openPresetMenu(rect.left, rect.bottom)
+    })
+
+    const savePreset = () => {
+      const name = document.getElementById('presetNameInput').value.trim()
+      if (!name) return
+      this.addFilterPresets([{ name, filters: { ...this.filters } }])
+      this.closePopupMenus()
+    }
+
+    menu.addEventListener('click', e => {
+      const apply = e.target.closest('[data-apply-preset]')
+      const remove = e.target.closest('[data-delete-preset]')
+
+      if (apply) {
+        const preset = this.filterPresets[apply.dataset.applyPreset]
+        this.setFilters(preset.filters)
+        this.closePopupMenus()
+      } else if (remove) {
+        this.filterPresets.splice(remove.dataset.deletePreset, 1)
+        this.saveFilterPresets()
+        this.renderPresetMenu()
+      } else if (e.target.id === 'savePresetBtn') {
+        savePreset()
+      } else if (e.target.id === 'exportPresetsBtn') {
+        this.exportFilterPresets()
+      } else if (e.target.id === 'importPresetsBtn') {
+        importInput.click()
+      }
+    })
+
+    menu.addEventListener('keydown', e => {
+      if (e.key === 'Enter' && e.target.id === 'presetNameInput') {
+        savePreset()
+      }
+    })
+
+    importInput.addEventListener('change', e => {
+      const file = e.target.files[0]
+      if (file) {
+        this.importFilterPresets(file)
+      }
+      // Allow importing the same file twice in a row
+      e.target.value = ''
+    })
+  }
+
+  openPresetMenu(x, y) {
+    const menu = document.getElementById('presetMenu')
+    this.renderPresetMenu()
+    this.openPopupMenu(menu, x, y)
+    document.getElementById('presetNameInput').focus()
+  }
+
+  renderPresetMenu() {
+    const menu = document.getElementById('presetMenu')
+    const presets = this.filterPresets
+      .map((preset, index) => {
+        const query = [
+          this.getDropdownQuery(preset.filters),
+          preset.filters.search
+        ]
+          .filter(Boolean)
+          .join(' ')
+        return `
+          <div class="preset-item">
+            <button class="preset-apply" data-apply-preset="${index}" title="${this.escapeAttribute(
+          query || 'No filters'
+        )}">${this.escapeHtml(preset.name)}</button>
+            <button class="preset-delete" data-delete-preset="${index}" title="Delete preset">×</button>
+          </div>
+        `
+      })
+      .join('')
+
+    menu.innerHTML = `
+      <div class="preset-save">
+        <input type="text" class="filter-input" id="presetNameInput" placeholder="Preset name" />
+        <button class="btn" id="savePresetBtn">Save current</button>
+      </div>
+      ${presets || '<div class="preset-empty">No saved presets</div>'}
+      <div class="preset-actions">
+        <button class="btn" id="exportPresetsBtn" ${
+          this.filterPresets.length ? '' : 'disabled'
+        }>Export</button>
+        <button class="btn" id="importPresetsBtn">Import</button>
+      </div>
+    `
+  }
+
+  exportFilterPresets() {
+    const data = {
+      version: 1,
+      presets: this.filterPresets
+    }
+    this.downloadFile(
+      'network-analyzer-filter-presets.json',
+      JSON.stringify(data, null, 2),
+      'application/json'
+    )
+  }
+
+  importFilterPresets(file) {
+    file
+      .text()
+      .then(text => {
+        const data = JSON.parse(text)
+        const presets = Array.isArray(data) ? data : data && data.presets
+        if (!Array.isArray(presets)) {
+          throw new Error('Missing presets, this is not a presets file')
+        }
+
+        const valid = presets
+          .filter(
+            preset =>
+              preset &&
+              typeof preset.name === 'string' &&
+              preset.name.trim() &&
+              preset.filters &&
+              typeof preset.filters === 'object' &&
+              this.hasDropdownOptions(preset.filters)
+          )
+          .map(preset => ({
+            name: preset.name.trim(),
+            filters: {
+              search: String(preset.filters.search || ''),
+              method: String(preset.filters.method || ''),
+              status: String(preset.filters.status || ''),
+              type: String(preset.filters.type || ''),
+              url: String(preset.filters.url || '')
+            }
+          }))
+        if (valid.length === 0) {
+          throw new Error('No valid presets found')
+        }
+
+        this.addFilterPresets(valid)
+        this.renderPresetMenu()
+      })
+      .catch(err => {
+        console.error('Failed to import filter presets:', err)
+        alert(`Could not import ${file.name}: ${err.message}`)
+      })
+  }
+
+  // Dropdown values of a preset must be options of their dropdown
+  hasDropdownOptions(filters) {
+    return [
+      ['method', 'methodFilter'],
+      ['status', 'statusFilter'],
+      ['type', 'typeFilter']
+    ].every(([key, id]) => {
+      const value = String(filters[key] || '')
+      return [...document.getElementById(id).options].some(
+        option => option.value === value
+      )
+    })
   }
 
   getCopyIconSVG() {
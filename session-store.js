@@ -0,0 +1,235 @@
+// Saved capture sessions, kept in IndexedDB so they survive DevTools being
+// closed and the service worker being stopped. A session is a named list of
+// request objects as the panel stores them.
+class SessionStore {
+  static DB_NAME = 'network-analyzer-sessions'
+  static database = null
+
+  static open() {
+    if (!SessionStore.database) {
+      SessionStore.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(SessionStore.DB_NAME, 1)
+        request.onupgradeneeded = () => {
+          const db = request.result
+          db.createObjectStore('sessions', { keyPath: 'id' })
+          const requests = db.createObjectStore('requests', {
+            keyPath: ['sessionId', 'requestId']
+          })
+          // Oldest first, used to trim a session that outgrew the size cap
+          requests.createIndex('sessionTime', ['sessionId', 'timestamp'])
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => {
+          SessionStore.database = null
+          reject(request.error)
+        }
+      })
+    }
+    return SessionStore.database
+  }
+
+  // Run work(transaction) and resolve with the result of the IDBRequest it
+  // returns (if any) once the transaction has committed
+  static run(storeNames, mode, work) {
+    return SessionStore.open().then(
+      db =>
+        new Promise((resolve, reject) => {
+          const transaction = db.transaction(storeNames, mode)
+          const request = work(transaction)
+          transaction.oncomplete = () =>
+            resolve(request ? request.result : undefined)
+          transaction.onerror = () => reject(transaction.error)
+          transaction.onabort = () =>
+            reject(transaction.error || new Error('Transaction aborted'))
+        })
+    )
+  }
+
+  // Every request record of a session: [sessionId, requestId] keys sort
+  // after [sessionId] and before [sessionId, []] whatever the requestId
+  static sessionRange(sessionId) {
+    return IDBKeyRange.bound([sessionId], [sessionId, []])
+  }
+
+  // Most recently updated first
+  static listSessions() {
+    return SessionStore.run(['sessions'], 'readonly', transaction =>
+      transaction.objectStore('sessions').getAll()
+    ).then(sessions => sessions.sort((a, b) => b.updatedAt - a.updatedAt))
+  }
+
+  static createSession(name) {
+    const now = Date.now()
+    const session = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      createdAt: now,
+      updatedAt: now,
+      requestCount: 0,
+      size: 0
+    }
+    return SessionStore.run(['sessions'], 'readwrite', transaction => {
+      transaction.objectStore('sessions').add(session)
+    }).then(() => session)
+  }
+
+  static renameSession(sessionId, name) {
+    return SessionStore.run(['sessions'], 'readwrite', transaction => {
+      const sessions = transaction.objectStore('sessions')
+      sessions.get(sessionId).onsuccess = e => {
+        const session = e.target.result
+        if (session) {
+          sessions.put({ ...session, name })
+        }
+      }
+    })
+  }
+
+  static deleteSession(sessionId) {
+    return SessionStore.run(
+      ['sessions', 'requests'],
+      'readwrite',
+      transaction => {
+        transaction.objectStore('sessions').delete(sessionId)
+        transaction
+          .objectStore('requests')
+          .delete(SessionStore.sessionRange(sessionId))
+      }
+    )
+  }
+
+  // Add or replace requests in a session. Sizes are the length of the JSON
+  // text, close enough to bytes for the caps.
+  static saveRequests(sessionId, requests) {
+    return SessionStore.run(
+      ['sessions', 'requests'],
+      'readwrite',
+      transaction => {
+        const store = transaction.objectStore('requests')
+        let pending = requests.length
+        let sizeDelta = 0
+        let countDelta = 0
+
+        const updateSession = () => {
+          const sessions = transaction.objectStore('sessions')
+          sessions.get(sessionId).onsuccess = e => {
+            const session = e.target.result
+            if (!session) {
+              // Deleted while the capture was still being saved to it
+              transaction.abort()
+              return
+            }
+            sessions.put({
+              ...session,
+              updatedAt: Date.now(),
+              requestCount: session.requestCount + countDelta,
+              size: session.size + sizeDelta
+            })
+          }
+        }
+
+        requests.forEach(data => {
+          const record = {
+            sessionId,
+            requestId: data.requestId,
+            timestamp: data.timestamp || 0,
+            size: JSON.stringify(data).length,
+            data
+          }
+          store.get([sessionId, data.requestId]).onsuccess = e => {
+            const previous = e.target.result
+            sizeDelta += record.size - (previous ? previous.size : 0)
+            if (!previous) countDelta += 1
+            store.put(record)
+            if (--pending === 0) updateSession()
+          }
+        })
+        if (pending === 0) updateSession()
+      }
+    )
+  }
+
+  // Requests of a session, oldest first
+  static loadRequests(sessionId) {
+    return SessionStore.run(['requests'], 'readonly', transaction =>
+      transaction
+        .objectStore('requests')
+        .index('sessionTime')
+        .getAll(
+          IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity])
+        )
+    ).then(records => records.map(record => record.data))
+  }
+
+  // Evict the least recently updated sessions until there are at most
+  // maxSessions and they take at most maxBytes. The session being captured
+  // (keepId) is never evicted, only trimmed of its oldest requests.
+  // Resolves with the ids of the evicted sessions.
+  static enforceLimits(keepId, { maxSessions, maxBytes }) {
+    return SessionStore.listSessions().then(sessions => {
+      let count = sessions.length
+      let total = sessions.reduce((sum, session) => sum + session.size, 0)
+      const evicted = []
+
+      for (let i = sessions.length - 1; i >= 0; i--) {
+        if (count <= maxSessions && total <= maxBytes) break
+        if (sessions[i].id === keepId) continue
+        evicted.push(sessions[i].id)
+        count -= 1
+        total -= sessions[i].size
+      }
+
+      const deleted = evicted.map(id => SessionStore.deleteSession(id))
+      return Promise.all(deleted)
+        .then(() =>
+          total > maxBytes
+            ? SessionStore.trimSession(keepId, total - maxBytes)
+            : null
+        )
+        .then(() => evicted)
+    })
+  }
+
+  // Delete the oldest requests of a session until `bytes` have been freed
+  static trimSession(sessionId, bytes) {
+    return SessionStore.run(
+      ['sessions', 'requests'],
+      'readwrite',
+      transaction => {
+        let freed = 0
+        let removed = 0
+        const range = IDBKeyRange.bound(
+          [sessionId, -Infinity],
+          [sessionId, Infinity]
+        )
+        const cursorRequest = transaction
+          .objectStore('requests')
+          .index('sessionTime')
+          .openCursor(range)
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result
+          if (cursor && freed < bytes) {
+            freed += cursor.value.size
+            removed += 1
+            cursor.delete()
+            cursor.continue()
+            return
+          }
+
+          const sessions = transaction.objectStore('sessions')
+          sessions.get(sessionId).onsuccess = e => {
+            const session = e.target.result
+            if (session) {
+              sessions.put({
+                ...session,
+                requestCount: session.requestCount - removed,
+                size: session.size - freed
+              })
+            }
+          }
+        }
+      }
+    )
+  }
+}
@@ -0,0 +1,171 @@
+// Run with: node --test
+const assert = require('node:assert')
+const fs = require('node:fs')
+const path = require('node:path')
+const { test } = require('node:test')
+const vm = require('node:vm')
+
+// correlation.js is a plain script loaded by panel.html
+const ResponseCorrelator = vm.runInThisContext(
+  fs.readFileSync(path.join(__dirname, '..', 'correlation.js'), 'utf8') +
+    '\nResponseCorrelator'
+)
+
+const ITEMS_URL = 'https://api.example.com/items'
+const START = Date.parse('2024-01-01T00:00:00.000Z')
+
+// A HAR entry and the webRequest record of the same call
+const call = (id, { offset = 0, headers = [], body = null } = {}) => ({
+  id,
+  entry: {
+    startedDateTime: new Date(START + offset).toISOString(),
+    request: {
+      method: 'POST',
+      url: ITEMS_URL,
+      headers,
+      postData: body === null ? undefined : { text: body }
+    },
+    response: { status: 200 }
+  },
+  req: {
+    url: ITEMS_URL,
+    method: 'POST',
+    timestamp: START + offset,
+    statusCode: 200,
+    requestHeaders: headers
+  },
+  body
+})
+
+const responsesOf = calls =>
+  calls.map(({ id, entry }) => ({
+    id,
+    signals: ResponseCorrelator.fromHarEntry(entry)
+  }))
+
+const requestsOf = calls =>
+  calls.map(({ id, req, body }) => ({
+    id,
+    signals: ResponseCorrelator.fromRequest(req, body)
+  }))
+
+// Response id -> request id
+const pairs = result =>
+  Object.fromEntries(
+    result.matches.map(({ response, request }) => [response.id, request.id])
+  )
+
+// The order in which the webRequest records arrive must not matter
+const reversed = list => [...list].reverse()
+
+test('parallel identical calls are told apart by start time', () => {
+  const calls = [0, 1, 2, 3, 4].map(n => call(`call${n}`, { offset: n * 400 }))
+  const result = ResponseCorrelator.assign(
+    responsesOf(calls),
+    reversed(requestsOf(calls))
+  )
+
+  assert.deepStrictEqual(result.ambiguous, [])
+  assert.deepStrictEqual(pairs(result), {
+    call0: 'call0',
+    call1: 'call1',
+    call2: 'call2',
+    call3: 'call3',
+    call4: 'call4'
+  })
+})
+
+test('calls started together are told apart by their headers', () => {
+  const calls = ['a', 'b', 'c'].map(id =>
+    call(id, {
+      headers: [
+        { name: 'Content-Type', value: 'application/json' },
+        { name: 'X-Request-Id', value: `req-${id}` }
+      ]
+    })
+  )
+  // One response is missing, so start order cannot break ties
+  const result = ResponseCorrelator.assign(
+    responsesOf(calls.slice(0, 2)),
+    reversed(requestsOf(calls))
+  )
+
+  assert.deepStrictEqual(result.ambiguous, [])
+  assert.deepStrictEqual(pairs(result), { a: 'a', b: 'b' })
+})
+
+test('calls started together are told apart by their bodies', () => {
+  const calls = ['a', 'b', 'c'].map(id =>
+    call(id, { body: JSON.stringify({ item: id }) })
+  )
+  const result = ResponseCorrelator.assign(
+    responsesOf(calls.slice(1)),
+    reversed(requestsOf(calls))
+  )
+
+  assert.deepStrictEqual(result.ambiguous, [])
+  assert.deepStrictEqual(pairs(result), { b: 'b', c: 'c' })
+})
+
+test('a match settles a response that was ambiguous before it', () => {
+  // x could come from either call started with it, until y, which sent
+  // the same body as first, takes that one
+  const responses = responsesOf([
+    call('x'),
+    call('y', { offset: 10, body: 'same' })
+  ])
+  const requests = requestsOf([
+    call('first', { body: 'same' }),
+    call('second', { body: 'other' }),
+    call('later', { offset: 20000 })
+  ])
+  const result = ResponseCorrelator.assign(responses, requests)
+
+  assert.deepStrictEqual(result.ambiguous, [])
+  assert.deepStrictEqual(pairs(result), { x: 'second', y: 'first' })
+})
+
+test('indistinguishable calls are flagged, not assigned', () => {
+  const headers = [{ name: 'Accept', value: 'application/json' }]
+  const calls = [
+    call('a', { headers, body: '{}' }),
+    call('b', { headers, body: '{}' })
+  ]
+  // With only one of the two responses, nothing tells which call it was
+  const result = ResponseCorrelator.assign(
+    responsesOf(calls.slice(0, 1)),
+    requestsOf(calls)
+  )
+
+  assert.deepStrictEqual(result.matches, [])
+  assert.strictEqual(result.ambiguous.length, 1)
+  assert.strictEqual(result.ambiguous[0].response.id, 'a')
+  assert.deepStrictEqual(
+    result.ambiguous[0].requests.map(request => request.id).sort(),
+    ['a', 'b']
+  )
+})
+
+test('identical calls with every response present pair up in start order', () => {
+  const calls = [call('a'), call('b', { offset: 5 })]
+  const result = ResponseCorrelator.assign(
+    responsesOf(calls),
+    reversed(requestsOf(calls))
+  )
+
+  assert.deepStrictEqual(result.ambiguous, [])
+  assert.deepStrictEqual(pairs(result), { a: 'a', b: 'b' })
+})
+
+test('calls with a different status or too far apart are not candidates', () => {
+  const late = call('late', { offset: ResponseCorrelator.TIME_WINDOW + 1 })
+  const failed = call('failed')
+  failed.req.statusCode = 500
+
+  const result = ResponseCorrelator.assign(
+    responsesOf([call('a')]),
+    requestsOf([late, failed])
+  )
+
+  assert.deepStrictEqual(result, { matches: [], ambiguous: [] })
+})